@@ -1,29 +1,107 @@
 // js/boot/composeGame.js
 import { loadContent } from './loadContent.js';
+import { fetchContentSource } from './contentSources.js';
 import { createInitialState } from '../stateFactory.js';
+import { EventBus } from '../eventBus.js';
+import { systemClock } from '../clock.js';
+import { LocalStorageAdapter } from '../storage/localStorageAdapter.js';
 import { ActionModel } from '../models/actionModel.js';
 import { ResourceModel } from '../models/resourceModel.js';
 import { SkillModel } from '../models/skillModel.js';
+import { RequirementModel } from '../models/requirementModel.js';
+import { UnlockModel } from '../models/unlockModel.js';
+import { HomeModel } from '../models/homeModel.js';
+import { ClassModel } from '../models/classModel.js';
+import { EquipmentModel } from '../models/equipmentModel.js';
+import { LocationModel } from '../models/locationModel.js';
+import { CharacterModel } from '../models/characterModel.js';
+import { ModifierModel } from '../models/modifierModel.js';
+import { AchievementModel } from '../models/achievementModel.js';
+import { InjuryModel } from '../models/injuryModel.js';
+import { EncounterModel } from '../models/encounterModel.js';
 import { ActionController } from '../controllers/actionController.js';
+import { LogController } from '../controllers/logController.js';
+import { StatsController } from '../controllers/statsController.js';
+import { NotificationController } from '../controllers/notificationController.js';
+import { HomeController } from '../controllers/homeController.js';
+import { ClassController } from '../controllers/classController.js';
+import { EquipmentController } from '../controllers/equipmentController.js';
+import SaveController from '../controllers/saveController.js';
 
-export async function composeGame({ onLog, onStateChange }) {
-  const defs = await loadContent();
+/**
+ * Build the whole model/controller stack. Nothing here touches the DOM, so
+ * with a file content source, a manual clock and in-memory storage it runs
+ * under Node as well (see js/headless.js).
+ */
+export async function composeGame({
+  bus = new EventBus(),
+  content = fetchContentSource(),
+  clock = systemClock,
+  rng = Math.random,
+  storage = new LocalStorageAdapter(),
+  tabLease = null, // browser only: see save/tabLease.js
+  packs = null,    // content pack ids to enable; null: the manifest's defaults
+  notificationPrefs = {}, // { category: 'show' | 'log' | 'mute' }
+} = {}) {
+  const defs = await loadContent(content, { packs });
   const state = createInitialState(defs);
 
-  const resourceModel = new ResourceModel(state);
-  const skillModel    = new SkillModel(state);
+  const modifierModel = new ModifierModel(state);
+  const resourceModel = new ResourceModel(state, { bus, modifierModel });
+  const skillModel    = new SkillModel(state, { bus });
+  const requirementModel = new RequirementModel(state);
+  const unlockModel   = new UnlockModel(state, { requirements: requirementModel });
+  const homeModel     = new HomeModel(state, { resourceModel, modifierModel });
+  const classModel    = new ClassModel(state, { resourceModel, skillModel, now: () => clock.now() });
+  const equipmentModel = new EquipmentModel(state, { bus });
+  const locationModel = new LocationModel(state, { rng, requirements: requirementModel, bus });
+  const characterModel = new CharacterModel(state, { bus, modifierModel });
+  const injuryModel   = new InjuryModel(state, { resourceModel, bus, now: () => clock.now() });
+  const encounterModel = new EncounterModel(state, {
+    rng,
+    requirements: requirementModel,
+    resourceModel,
+    skillModel,
+    characterModel,
+    equipmentModel,
+    injuryModel,
+    bus,
+  });
+  const achievementModel = new AchievementModel(state, { requirements: requirementModel, modifierModel, now: () => clock.now() });
   const actionModel   = new ActionModel(state, {
     resourceModel,
     skillModel,
-    now: () => Date.now(),
-    rng: Math.random,
+    modifierModel,
+    requirementModel,
+    equipmentModel,
+    locationModel,
+    characterModel,
+    injuryModel,
+    encounterModel,
+    bus,
+    now: () => clock.now(),
+    rng,
     defs, // pass defs if your model needs read-only access to durations etc.
   });
 
+  const logController = new LogController(state, bus);
+  const statsController = new StatsController(state, bus);
+  const notificationController = new NotificationController(state, bus, { prefs: notificationPrefs, now: () => clock.now() });
   const actionController = new ActionController(state, actionModel, {
-    onLog,
-    onStateChange,
+    unlockModel,
+    achievementModel,
+    bus,
+    stats: statsController,
   });
 
-  return { defs, state, actionModel, actionController };
+  const homeController = new HomeController(state, homeModel, { bus });
+  const classController = new ClassController(state, classModel, { bus, actionController });
+  const equipmentController = new EquipmentController(state, equipmentModel, { bus });
+  const saveController = new SaveController(state, defs, { actionController, storage, clock, lease: tabLease });
+
+  return {
+    defs, state, bus, clock,
+    actionModel, requirementModel, modifierModel, homeModel, classModel, equipmentModel, locationModel, characterModel, injuryModel, encounterModel, achievementModel,
+    actionController, logController, statsController, notificationController, homeController, classController, equipmentController, saveController,
+  };
 }
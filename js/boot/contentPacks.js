@@ -0,0 +1,124 @@
+// js/boot/contentPacks.js
+//
+// Content packs layer extra content over data/*.json before it's normalized.
+//
+// data/packs.json is the manifest:
+//   [{ id, name, description?, files: ["actions", ...], loadOrder?, enabledByDefault? }]
+//
+// Each listed file lives at data/packs/<id>/<type>.json:
+//   { "add":   [ { id, ... } ] | { id: { ... } },   new entries (or whole replacements)
+//     "patch": { "<id>": { field: value, ... } } }  fields replaced on an existing entry
+//
+// Packs apply in load order (loadOrder, then manifest order); when two touch the
+// same entry or field, the later one wins and a warning names both. Every entry
+// carries `pack`: the pack that added it, or "core".
+//
+// Which packs are on is a per-browser setting in localStorage:
+//   everlyn-packs   ["<id>", ...]   (absent: the manifest's enabledByDefault packs)
+
+const ENABLED_KEY = "everlyn-packs";
+
+const asArray = (raw) => Array.isArray(raw) ? raw : (raw && typeof raw === "object" ? Object.values(raw) : []);
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+export function readEnabledPacks(local = globalThis.localStorage) {
+  try {
+    const ids = JSON.parse(local?.getItem(ENABLED_KEY));
+    return Array.isArray(ids) ? ids : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeEnabledPacks(ids, local = globalThis.localStorage) {
+  local.setItem(ENABLED_KEY, JSON.stringify(ids));
+}
+
+// Manifest entries, checked and sorted into load order
+export function readManifest(raw, errors) {
+  return asArray(raw)
+    .map((p, i) => {
+      const ok = isObj(p) && typeof p.id === "string" && p.id && typeof p.name === "string";
+      if (!ok) { errors.push(`packs[${i}] needs an id and a name`); return null; }
+      if (p.files !== undefined && !(Array.isArray(p.files) && p.files.every(f => typeof f === "string"))) {
+        errors.push(`packs[${i}].files must be an array of content file names`);
+      }
+      return {
+        id: p.id,
+        name: p.name,
+        description: typeof p.description === "string" ? p.description : "",
+        files: Array.isArray(p.files) ? p.files : [],
+        loadOrder: Number.isFinite(p.loadOrder) ? p.loadOrder : 0,
+        enabledByDefault: !!p.enabledByDefault,
+        index: i,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.loadOrder - b.loadOrder || a.index - b.index)
+    .map(({ index, ...p }) => p);
+}
+
+// Fetch the files of the enabled packs: [{ pack, files: { type: json } }] in load order
+export async function loadPackFiles(source, manifest, enabledIds, contentTypes, errors, warnings) {
+  const ids = enabledIds ?? manifest.filter(p => p.enabledByDefault).map(p => p.id);
+  for (const id of ids) {
+    if (!manifest.some(p => p.id === id)) warnings.push(`packs has no pack "${id}" to enable; skipped`);
+  }
+  const enabled = manifest.filter(p => ids.includes(p.id));
+  return Promise.all(enabled.map(async (pack) => {
+    const files = {};
+    for (const type of pack.files) {
+      if (!contentTypes.includes(type)) { errors.push(`pack:${pack.id} lists unknown content file "${type}"`); continue; }
+      try {
+        files[type] = await source.load(`packs/${pack.id}/${type}`);
+      } catch (err) {
+        errors.push(`pack:${pack.id} could not load packs/${pack.id}/${type}.json (${err.message})`);
+      }
+    }
+    return { pack, files };
+  }));
+}
+
+// Merge pack files over the core files; returns new raw content keyed by type (as arrays)
+export function applyPacks(raw, loaded, contentTypes, errors, warnings) {
+  const out = {};
+  for (const type of contentTypes) {
+    // core entries keep their positions, so error paths still match data/<type>.json
+    const list = asArray(raw[type]).map(x => (isObj(x) ? { ...x, pack: "core" } : x));
+    const indexOf = new Map(list.map((x, i) => [x?.id, i]).filter(([id]) => typeof id === "string"));
+    const patchedBy = new Map(); // "id.field" -> pack id that last set it
+
+    for (const { pack, files } of loaded) {
+      const file = files[type];
+      if (file === undefined) continue;
+      if (!isObj(file)) { errors.push(`pack:${pack.id} ${type}.json must be an object with add and/or patch`); continue; }
+
+      for (const x of asArray(file.add)) {
+        if (!isObj(x) || typeof x.id !== "string") { errors.push(`pack:${pack.id} ${type}.add entries need an id`); continue; }
+        const entry = { ...x, pack: pack.id };
+        if (indexOf.has(x.id)) {
+          const i = indexOf.get(x.id);
+          warnings.push(`pack:${pack.id} replaces ${type}:${x.id} from ${list[i].pack}`);
+          list[i] = entry;
+        } else {
+          indexOf.set(x.id, list.push(entry) - 1);
+        }
+      }
+
+      for (const [id, fields] of Object.entries(isObj(file.patch) ? file.patch : {})) {
+        const target = list[indexOf.get(id)];
+        if (!target) { errors.push(`pack:${pack.id} patches unknown ${type}:${id}`); continue; }
+        if (!isObj(fields)) { errors.push(`pack:${pack.id} patch for ${type}:${id} must be an object`); continue; }
+        for (const [key, value] of Object.entries(fields)) {
+          if (key === "id" || key === "pack") { errors.push(`pack:${pack.id} can't patch ${type}:${id}.${key}`); continue; }
+          const prev = patchedBy.get(`${id}.${key}`);
+          if (prev && prev !== pack.id) warnings.push(`pack:${pack.id} overrides ${type}:${id}.${key} already patched by ${prev}`);
+          target[key] = value;
+          patchedBy.set(`${id}.${key}`, pack.id);
+        }
+      }
+    }
+    out[type] = list;
+  }
+  return out;
+}
@@ -0,0 +1,490 @@
+// js/boot/contentSchemas.js
+//
+// The declared shape of every content type. normalizeEntries() turns the raw
+// JSON entries of one type into definitions that always have every field in
+// the schema (defaults filled in, nested requirement/cost/reward/effect lists
+// normalized), so models never need to guess. Fields the schema doesn't know
+// are kept in the entry's `extra` bag, with a warning, instead of being dropped.
+// Every entry also gets `pack`, the content pack it came from ("core" for data/).
+//
+// A field is `(value, path, errors, entry) => normalized value`. `value` is
+// undefined when the JSON leaves it out; `entry` holds the fields declared
+// before it. Problems are pushed to `errors` as "<path> <message>".
+
+import { MODIFIER_TYPES, normalizeEffect } from "../models/modifierModel.js";
+import { EQUIPMENT_SLOTS } from "../models/equipmentModel.js";
+
+const isStr = (x) => typeof x === "string" && x.length > 0;
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+const nonNegInt = (x) => Number.isInteger(x) && x >= 0;
+const posInt = (x) => Number.isInteger(x) && x > 0;
+const posNum = (x) => isNum(x) && x > 0;
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+const arr = (x) => (Array.isArray(x) ? x : []);
+
+// ---------- nested shapes (see models/requirementModel.js and models/modifierModel.js) ----------
+
+// { kind, ... } for skill/location/resource/class/action/characterLevel leaves and all/any/not groups
+function normalizeRequirement(rq, path, errors) {
+  if (!isObj(rq)) { errors.push(`${path} must be an object`); return null; }
+  if ("all" in rq || "any" in rq) {
+    const key = "all" in rq ? "all" : "any";
+    if (!Array.isArray(rq[key])) errors.push(`${path}.${key} must be an array`);
+    return { kind: key, [key]: normalizeRequirements(rq[key], `${path}.${key}`, errors) };
+  }
+  if ("not" in rq) {
+    return { kind: "not", not: normalizeRequirements(rq.not, `${path}.not`, errors) };
+  }
+  if ("skill" in rq) {
+    if (!isStr(rq.skill)) errors.push(`${path}.skill missing/non-string`);
+    if (!nonNegInt(rq.level ?? -1)) errors.push(`${path}.level must be non-negative integer`);
+    return { kind: "skill", skill: rq.skill, level: rq.level ?? 0 };
+  }
+  if ("location" in rq) {
+    if (!isStr(rq.location)) errors.push(`${path}.location missing/non-string`);
+    return { kind: "location", location: rq.location };
+  }
+  if ("resource" in rq) {
+    if (!isStr(rq.resource)) errors.push(`${path}.resource missing/non-string`);
+    if (!(isNum(rq.amt) && rq.amt >= 0)) errors.push(`${path}.amt must be a non-negative number`);
+    return { kind: "resource", resource: rq.resource, amt: rq.amt ?? 0 };
+  }
+  if ("class" in rq) {
+    if (!isStr(rq.class)) errors.push(`${path}.class missing/non-string`);
+    return { kind: "class", class: rq.class };
+  }
+  if ("action" in rq) {
+    if (!isStr(rq.action)) errors.push(`${path}.action missing/non-string`);
+    if (rq.completions !== undefined && !nonNegInt(rq.completions)) errors.push(`${path}.completions must be non-negative integer`);
+    return { kind: "action", action: rq.action, completions: rq.completions ?? 1 };
+  }
+  if ("characterLevel" in rq) {
+    if (!nonNegInt(rq.characterLevel)) errors.push(`${path}.characterLevel must be non-negative integer`);
+    return { kind: "characterLevel", characterLevel: rq.characterLevel };
+  }
+  errors.push(`${path} must have one of skill/location/resource/class/action/characterLevel/all/any/not`);
+  return null;
+}
+
+// accepts a single requirement or an array of them
+function normalizeRequirements(raw, path, errors) {
+  const list = Array.isArray(raw) ? raw : (raw && typeof raw === "object" ? [raw] : []);
+  return list.map((rq, j) => normalizeRequirement(rq, `${path}[${j}]`, errors)).filter(Boolean);
+}
+
+// walk nested all/any/not and yield leaf requirements (for cross-reference checks)
+export function* leafRequirements(reqs) {
+  for (const rq of arr(reqs)) {
+    if (rq.kind === "all" || rq.kind === "any" || rq.kind === "not") yield* leafRequirements(rq[rq.kind]);
+    else yield rq;
+  }
+}
+
+// cost: [{ resource, amt }] (same shape for actions, equipment, furniture and homes)
+function normalizeCost(raw, path, errors) {
+  if (raw !== undefined && !Array.isArray(raw)) {
+    errors.push(`${path} must be an array of { resource, amt }`);
+    return [];
+  }
+  return arr(raw).map((c, j) => {
+    const ok = c && typeof c === "object";
+    const resource = ok ? c.resource : undefined;
+    const amt = ok ? c.amt : undefined;
+    if (!isStr(resource)) errors.push(`${path}[${j}].resource missing/non-string`);
+    if (!nonNegInt(amt))  errors.push(`${path}[${j}].amt must be non-negative integer`);
+    return { resource, amt };
+  });
+}
+
+// effects: [{ type, add?, mult?, resource?, skill?, action?, tag? }]; legacy increaseRegen is converted
+function normalizeEffects(raw, path, errors) {
+  if (raw !== undefined && !Array.isArray(raw)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  return arr(raw).map((fx, j) => {
+    if (!isObj(fx)) { errors.push(`${path}[${j}] must be an object`); return null; }
+    if (fx.type === "increaseRegen") {
+      if (!isStr(fx.resource)) errors.push(`${path}[${j}].resource missing/non-string`);
+      if (!isNum(fx.amount))   errors.push(`${path}[${j}].amount must be a number`);
+      return normalizeEffect(fx);
+    }
+    if (!MODIFIER_TYPES.includes(fx.type)) errors.push(`${path}[${j}].type must be one of ${MODIFIER_TYPES.join(", ")}`);
+    if (fx.add !== undefined && !isNum(fx.add))   errors.push(`${path}[${j}].add must be a number`);
+    if (fx.mult !== undefined && !isNum(fx.mult)) errors.push(`${path}[${j}].mult must be a number`);
+    if (fx.add === undefined && fx.mult === undefined) errors.push(`${path}[${j}] needs add or mult`);
+    const out = { type: fx.type };
+    for (const key of ["add", "mult"]) if (fx[key] !== undefined) out[key] = fx[key];
+    for (const key of ["resource", "skill", "action", "tag"]) {
+      if (fx[key] === undefined) continue;
+      if (!isStr(fx[key])) errors.push(`${path}[${j}].${key} must be a non-empty string`);
+      out[key] = fx[key];
+    }
+    return out;
+  }).filter(Boolean);
+}
+
+// reward: resource (amt | min..max | maxChange), skill, characterXp, equipment or repair
+function normalizeRewards(raw, path, errors) {
+  if (raw !== undefined && !Array.isArray(raw)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  return arr(raw).map((r, j) => {
+    const at = `${path}[${j}]`;
+    if (!isObj(r)) { errors.push(`${at} must be an object`); return null; }
+    if ("resource" in r) {
+      const resource = r.resource;
+      if (!isStr(resource)) errors.push(`${at}.resource missing/non-string`);
+      const hasAmt = nonNegInt(r.amt ?? -1);
+      const hasRange = nonNegInt(r.min ?? -1) && nonNegInt(r.max ?? -1) && r.max >= r.min;
+      const hasMaxChange = isNum(r.maxChange);
+      if (!hasAmt && !hasRange && !hasMaxChange) {
+        errors.push(`${at} must have amt or {min,max} or maxChange`);
+      }
+      return hasAmt
+        ? { resource, amt: r.amt }
+        : hasRange
+          ? { resource, min: r.min, max: r.max }
+          : { resource, maxChange: r.maxChange };
+    }
+    if ("skill" in r) {
+      if (!isStr(r.skill)) errors.push(`${at}.skill missing/non-string`);
+      if (!nonNegInt(r.amt)) errors.push(`${at}.amt must be a non-negative integer`);
+      return { skill: r.skill, amt: r.amt };
+    }
+    if ("characterXp" in r) {
+      if (!nonNegInt(r.characterXp)) errors.push(`${at}.characterXp must be a non-negative integer`);
+      return { characterXp: r.characterXp };
+    }
+    if ("equipment" in r) {
+      if (!isStr(r.equipment)) errors.push(`${at}.equipment missing/non-string`);
+      if (r.amt !== undefined && !posInt(r.amt)) errors.push(`${at}.amt must be a positive integer`);
+      return { equipment: r.equipment, amt: r.amt ?? 1 };
+    }
+    if ("repair" in r) {
+      if (![...EQUIPMENT_SLOTS, "any"].includes(r.repair)) errors.push(`${at}.repair must be a slot or "any"`);
+      if (!nonNegInt(r.amt)) errors.push(`${at}.amt must be a non-negative integer`);
+      return { repair: r.repair, amt: r.amt };
+    }
+    errors.push(`${at} must have 'resource', 'skill', 'characterXp', 'equipment' or 'repair' key`);
+    return null;
+  }).filter(Boolean);
+}
+
+// risk: { chance, perLevel?: { skill: chance }, minChance?, onFailure?: "none" | "partial", partial?, damage?: N | { min, max } }
+// (see models/actionModel.js); null when the action can't fail
+function normalizeRisk(raw, path, errors) {
+  if (raw === undefined || raw === null) return null;
+  if (!isObj(raw)) { errors.push(`${path} must be an object`); return null; }
+  const chance = (x) => isNum(x) && x >= 0 && x <= 1;
+  if (!chance(raw.chance)) errors.push(`${path}.chance must be in [0, 1]`);
+  if (raw.minChance !== undefined && !chance(raw.minChance)) errors.push(`${path}.minChance must be in [0, 1]`);
+
+  const perLevel = {};
+  if (raw.perLevel !== undefined && !isObj(raw.perLevel)) errors.push(`${path}.perLevel must be an object of skill: chance`);
+  for (const [skill, per] of Object.entries(isObj(raw.perLevel) ? raw.perLevel : {})) {
+    if (!chance(per)) errors.push(`${path}.perLevel.${skill} must be in [0, 1]`);
+    else perLevel[skill] = per;
+  }
+
+  const onFailure = raw.onFailure ?? "none";
+  if (!["none", "partial"].includes(onFailure)) errors.push(`${path}.onFailure must be one of none, partial`);
+  if (raw.partial !== undefined && !(isNum(raw.partial) && raw.partial > 0 && raw.partial < 1)) {
+    errors.push(`${path}.partial must be between 0 and 1`);
+  }
+
+  return {
+    chance: chance(raw.chance) ? raw.chance : 0,
+    perLevel,
+    minChance: chance(raw.minChance) ? raw.minChance : 0,
+    onFailure,
+    partial: isNum(raw.partial) ? raw.partial : 0.5, // share of the rewards a partial failure still pays
+    damage: normalizeDamage(raw.damage, `${path}.damage`, errors), // Life lost on failure
+  };
+}
+
+// damage: N | { min, max } Life, as { min, max }
+function normalizeDamage(raw, path, errors) {
+  if (raw === undefined) return { min: 0, max: 0 };
+  if (nonNegInt(raw)) return { min: raw, max: raw };
+  if (isObj(raw) && nonNegInt(raw.min) && nonNegInt(raw.max) && raw.max >= raw.min) return { min: raw.min, max: raw.max };
+  errors.push(`${path} must be a non-negative integer or { min, max }`);
+  return { min: 0, max: 0 };
+}
+
+// choices: [{ id, label, outcome?, reward?, lose?, damage?, requirement? }] (see models/encounterModel.js)
+function normalizeChoices(raw, path, errors) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    errors.push(`${path} must be a non-empty array`);
+    return [];
+  }
+  return raw.map((c, j) => {
+    const at = `${path}[${j}]`;
+    if (!isObj(c)) { errors.push(`${at} must be an object`); return null; }
+    if (!isStr(c.id)) errors.push(`${at}.id missing/non-string`);
+    if (!isStr(c.label)) errors.push(`${at}.label missing/non-string`);
+    if (c.outcome !== undefined && typeof c.outcome !== "string") errors.push(`${at}.outcome must be a string`);
+    const reward = normalizeRewards(c.reward, `${at}.reward`, errors);
+    reward.forEach((r, k) => {
+      if ("maxChange" in r || "repair" in r) errors.push(`${at}.reward[${k}] can't be a maxChange or repair`);
+    });
+    return {
+      id: c.id,
+      label: c.label,
+      outcome: typeof c.outcome === "string" ? c.outcome : "", // what happens, for the log
+      reward,
+      lose: normalizeCost(c.lose, `${at}.lose`, errors), // taken as far as there is any
+      damage: normalizeDamage(c.damage, `${at}.damage`, errors),
+      requirement: normalizeRequirements(c.requirement, `${at}.requirement`, errors), // offered only when met
+    };
+  }).filter(Boolean);
+}
+
+// startingBonus: reward-shaped [{ resource | skill, amt }] granted on becoming a class
+function normalizeStartingBonus(raw, path, errors) {
+  if (raw !== undefined && !Array.isArray(raw)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  return arr(raw).map((b, j) => {
+    const ok = isObj(b) && (isStr(b.resource) || isStr(b.skill));
+    if (!ok) { errors.push(`${path}[${j}] needs a resource or skill`); return null; }
+    if (!nonNegInt(b.amt)) errors.push(`${path}[${j}].amt must be non-negative integer`);
+    return isStr(b.resource) ? { resource: b.resource, amt: b.amt } : { skill: b.skill, amt: b.amt };
+  }).filter(Boolean);
+}
+
+// ---------- field builders ----------
+function required(check, message) {
+  return (v, path, errors) => {
+    if (!check(v)) errors.push(`${path} ${message}`);
+    return v;
+  };
+}
+
+// `fallback` may be a function of the entry so far (for derived defaults)
+function optional(check, message, fallback) {
+  return (v, path, errors, entry) => {
+    const dflt = typeof fallback === "function" ? fallback(entry) : fallback;
+    if (v === undefined) return dflt;
+    if (!check(v)) { errors.push(`${path} ${message}`); return dflt; }
+    return v;
+  };
+}
+
+const field = {
+  id:          () => required(isStr, "missing/non-string"),
+  name:        () => required(isStr, "missing/non-string"),
+  text:        () => optional(x => typeof x === "string", "must be a string", ""),
+  ref:         () => optional(isStr, "must be a non-empty string", null),
+  bool:        (dflt = false) => optional(x => typeof x === "boolean", "must be true or false", dflt),
+  oneOf:       (list, dflt) => optional(x => list.includes(x), `must be one of ${list.join(", ")}`, dflt),
+  number:      (dflt = 0) => optional(isNum, "must be a number", dflt),
+  nonNegInt:   (dflt = 0) => optional(nonNegInt, "must be a non-negative integer", dflt),
+  posInt:      (dflt = null) => optional(posInt, "must be a positive integer", dflt),
+  posNum:      (dflt) => optional(posNum, "must be a positive number", dflt),
+  strings:     (dflt = () => []) => optional(x => Array.isArray(x) && x.every(isStr), "must be an array of strings", dflt),
+  requirement: () => normalizeRequirements,
+  cost:        () => normalizeCost,
+  effects:     () => normalizeEffects,
+};
+
+// ---------- schemas ----------
+// `fields` are normalized in order; `check(entry, path, errors)` runs cross-field checks afterwards.
+export const CONTENT_SCHEMAS = {
+  resources: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      type: field.oneOf(["stat", "currency"], "currency"),
+      description: field.text(),
+      amount: field.number(0),
+      maximum: field.posNum(Number.MAX_SAFE_INTEGER),
+      changePerTick: field.number(0),
+      requirement: field.requirement(),
+      unlocked: field.bool(entry => entry.requirement.length === 0), // free resources start unlocked
+    },
+    check(r, path, errors) {
+      if (r.amount > r.maximum) errors.push(`${path}.amount cannot exceed maximum`);
+    },
+  },
+
+  skills: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      tier: field.nonNegInt(0),
+      maxLevel: field.posInt(null), // null: no cap
+      nextLevelExperience: field.posNum(100),
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      effects: field.effects(), // per level
+    },
+  },
+
+  actions: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      type: field.oneOf(["action", "rest", "purchase", "recovery"], "action"), // recovery: only while injured
+      description: field.text(),
+      tags: field.strings(), // free-form labels that modifiers and equipment wear select on
+      duration: optional(x => isNum(x) && x >= 0, "must be >= 0", 0), // seconds; 0 is instant
+      cost: field.cost(),
+      reward: normalizeRewards,
+      risk: normalizeRisk,
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      isRestAction: field.bool(false),
+      maxCompletions: field.posNum(Infinity), // e.g. one-off purchases
+      // { chance } rolled for an undiscovered location on completion
+      discovery: (v, path, errors) => {
+        if (v === undefined) return null;
+        if (!(isObj(v) && isNum(v.chance) && v.chance > 0 && v.chance <= 1)) {
+          errors.push(`${path}.chance must be in (0, 1]`);
+          return null;
+        }
+        return { chance: v.chance };
+      },
+    },
+  },
+
+  classes: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      tier: field.nonNegInt(0),
+      promotesFrom: field.strings(null), // null: any class of the tier below
+      startingBonus: normalizeStartingBonus,
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      effects: field.effects(),
+    },
+  },
+
+  equipment: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      slot: required(x => EQUIPMENT_SLOTS.includes(x), `must be one of ${EQUIPMENT_SLOTS.join(", ")}`),
+      durability: field.posInt(null), // null never wears out
+      wearTags: field.strings(),
+      cost: field.cost(), // usually bought through a purchase action instead
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      effects: field.effects(),
+    },
+  },
+
+  furniture: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      floorSpace: field.nonNegInt(0),
+      cost: field.cost(),
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      effects: field.effects(),
+    },
+  },
+
+  homes: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      floorSpace: field.nonNegInt(0),
+      cost: field.cost(),
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      defaultOwned: field.bool(false),
+      locationId: field.ref(),
+      defaultFurnitureIds: field.strings(),
+    },
+  },
+
+  locations: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      requirement: field.requirement(),
+      unlocked: field.bool(false),
+      discovered: field.bool(false), // known from the start
+      discoveryWeight: field.posNum(1),
+      discoveryDifficulty: field.nonNegInt(0), // Exploration level it's pitched at
+      effects: field.effects(),
+    },
+  },
+
+  achievements: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(),
+      requirement: field.requirement(), // earned once met; stays earned
+      hidden: field.bool(false),        // name and description stay secret until earned
+      effects: field.effects(),         // permanent once earned
+    },
+    check(a, path, errors) {
+      if (a.requirement.length === 0) errors.push(`${path}.requirement must not be empty (it would be earned at once)`);
+    },
+  },
+
+  events: {
+    fields: {
+      id: field.id(),
+      name: field.name(),
+      description: field.text(), // what the player runs into
+      // fires during these actions, or any action carrying one of the tags (neither: every ordinary action)
+      actions: field.strings(),
+      tags: field.strings(),
+      requirement: field.requirement(), // skills, discovered locations, ...
+      chance: required(x => isNum(x) && x > 0 && x <= 1, "must be in (0, 1]"), // per run of a matching action
+      choices: normalizeChoices,
+      defaultChoice: optional(isStr, "must be a non-empty string", entry => entry.choices[0]?.id ?? null), // taken offline
+    },
+    check(e, path, errors) {
+      const choice = e.choices.find(c => c.id === e.defaultChoice);
+      if (!choice) errors.push(`${path}.defaultChoice must be one of the choice ids`);
+      else if (choice.requirement.length) errors.push(`${path}.defaultChoice must be a choice without a requirement`);
+      const seen = new Set();
+      e.choices.forEach((c, j) => {
+        if (seen.has(c.id)) errors.push(`${path}.choices[${j}].id duplicates "${c.id}"`);
+        seen.add(c.id);
+      });
+    },
+  },
+};
+
+// Normalize the raw entries of one content type. Returns the definitions in input order.
+export function normalizeEntries(type, raw, errors, warnings) {
+  const schema = CONTENT_SCHEMAS[type];
+  if (!Array.isArray(raw)) { errors.push(`${type}.json must be an array or object-map`); return []; }
+
+  const out = [];
+  raw.forEach((x, i) => {
+    const path = `${type}[${i}]`;
+    if (!isObj(x)) { errors.push(`${path} must be an object`); return; }
+
+    const entry = {};
+    for (const [key, normalize] of Object.entries(schema.fields)) {
+      entry[key] = normalize(x[key], `${path}.${key}`, errors, entry);
+    }
+    entry.pack = typeof x.pack === "string" ? x.pack : "core"; // set by contentPacks.js
+    entry.extra = {};
+    for (const key of Object.keys(x)) {
+      if (key in schema.fields || key === "pack") continue;
+      entry.extra[key] = x[key];
+      warnings.push(`${path}.${key} is not a known field; kept in extra`);
+    }
+    schema.check?.(entry, path, errors);
+    out.push(entry);
+  });
+  return out;
+}
@@ -0,0 +1,29 @@
+// js/boot/contentSources.js
+//
+// A content source is anything with `load(name) -> Promise<json>`, where
+// `name` is a data file without extension ("resources", "actions", ...).
+
+// Browser: fetch relative to index.html
+export function fetchContentSource(baseUrl = "data/") {
+  return {
+    load: (name) => fetch(`${baseUrl}${name}.json`).then(r => r.json()),
+  };
+}
+
+// Node: read from disk (fs is imported lazily so the browser never touches it)
+export function fileContentSource(dir) {
+  return {
+    async load(name) {
+      const { readFile } = await import("node:fs/promises");
+      const { join } = await import("node:path");
+      return JSON.parse(await readFile(join(dir, `${name}.json`), "utf8"));
+    },
+  };
+}
+
+// Already-parsed content, keyed by file name; handy for scripts and tests
+export function memoryContentSource(files) {
+  return {
+    load: async (name) => structuredClone(files[name] ?? {}),
+  };
+}
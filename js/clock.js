@@ -0,0 +1,18 @@
+// js/clock.js
+
+// Wall-clock time; what the browser game uses
+export const systemClock = Object.freeze({
+  now: () => Date.now(),
+});
+
+// A clock that only moves when told to; used for headless runs and tests
+export function createManualClock(start = Date.now()) {
+  let t = start;
+  return {
+    now: () => t,
+    advance(ms) {
+      t += ms;
+      return t;
+    },
+  };
+}
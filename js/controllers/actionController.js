@@ -1,48 +1,110 @@
 // js/controller/actionController.js
+import { GameEvents } from '../eventBus.js';
+
 export class ActionController {
-  constructor(state, actionModel, { onLog, onStateChange } = {}) {
+  constructor(state, actionModel, { unlockModel, achievementModel = null, bus, stats = null }) {
     this.model = actionModel;
+    this.unlocks = unlockModel;
+    this.achievements = achievementModel;
+    this.bus = bus;
+    this.stats = stats;
     this.s = state;
-    this.onLog = onLog || (() => {});
-    this.onStateChange = onStateChange || (() => {});
+  }
+
+  changed() {
+    // views re-render every frame anyway; skip the churn while fast-forwarding
+    if (!this.bus.offline) this.bus.emit(GameEvents.StateChanged);
   }
 
   update(deltaTime) {
-    // First: see if any actions unlocked this tick
-    let unlockedChanged = false;
+    if (!this.bus.offline) this.s.playTimeMs = (this.s.playTimeMs ?? 0) + deltaTime;
+    this.stats?.tick(deltaTime);
+
+    // Passive regen/drain runs whether or not an action is in progress
+    this.model.resources?.tick(deltaTime);
+
+    // First: see if anything unlocked this tick (regen can satisfy requirements)
+    let unlockedChanged = this.checkUnlocks();
 
     // If idle, still notify the view about unlock changes
     if (!this.s.currentAction) {
-      if (unlockedChanged) this.onStateChange(this.s);
+      if (unlockedChanged) this.changed();
       return;
     }
 
     const action = this.model.getCurrentAction();
     if (!action) {
-      if (unlockedChanged) this.onStateChange(this.s);
+      if (unlockedChanged) this.changed();
       return;
     }
 
-    // Advance progress
+    // An encounter holds the action until the player chooses; offline, the default is taken
+    if (this.model.encounters?.active()) {
+      if (this.bus.offline) this.resolveEncounter();
+      else if (unlockedChanged) this.changed();
+      return;
+    }
+
+    // Advance progress; the model announces ActionCompleted itself
     const result = this.model.tickProgress(action, deltaTime);
     if (result.completed) {
-      this.log(this.formatActionCompleted(result.event, this.s));
-      this.onStateChange(this.s);
-      if (typeof this.model.checkUnlocks === "function") {
-        unlockedChanged = this.model.checkUnlocks();
-      }
-      
-      // After a purchase finishes, switch back to rest; otherwise resume same action
-      if (this.s.defs.actions[this.s.currentAction].type === "purchase") {
-        this.switchToRestAction();
+      this.changed();
+      unlockedChanged = this.checkUnlocks() || unlockedChanged;
+      this.checkAchievements();
+
+      // Injured characters only recover; after a purchase finishes, switch back to rest; otherwise resume same action
+      const type = this.s.defs.actions[this.s.currentAction].type;
+      if (this.model.injury?.isInjured() || type === 'recovery') {
+        this.continueRecovery();
+      } else if (type === "purchase") {
+        this.switchToRestAction('purchased');
       } else {
         this.startAction(this.s.currentAction);
       }
       return;
     }
 
-    // If unlocks happened while progressing, let the view know
-    if (unlockedChanged) this.onStateChange(this.s);
+    // If unlocks happened while progressing (or an encounter began), let the view know
+    if (unlockedChanged || result.encounter) this.changed();
+  }
+
+  /**
+   * Fast-forward the simulation by `elapsedMs` in fixed steps (offline progress).
+   * Events emitted meanwhile carry `offline: true`; returns what was completed and earned.
+   */
+  simulate(elapsedMs, stepMs = 1000) {
+    const totals = { completions: {}, skills: {}, characterXp: 0, encounters: {} };
+    const addRewards = (rewards) => {
+      totals.characterXp += rewards?.characterXp ?? 0;
+      for (const [id, xp] of Object.entries(rewards?.skills ?? {})) {
+        totals.skills[id] = (totals.skills[id] ?? 0) + xp;
+      }
+    };
+    const offs = [
+      this.bus.on(GameEvents.ActionCompleted, (e) => {
+        totals.completions[e.actionId] = (totals.completions[e.actionId] ?? 0) + 1;
+        addRewards(e.rewards);
+      }),
+      // encounters met while away were settled with their default choice
+      this.bus.on(GameEvents.EncounterResolved, (e) => {
+        totals.encounters[e.eventId] = (totals.encounters[e.eventId] ?? 0) + 1;
+        addRewards(e.rewards);
+      }),
+    ];
+    this.bus.offline = true;
+
+    try {
+      let remaining = Math.max(0, elapsedMs);
+      while (remaining > 0) {
+        const step = Math.min(stepMs, remaining);
+        this.update(step);
+        remaining -= step;
+      }
+    } finally {
+      this.bus.offline = false;
+      offs.forEach(off => off());
+    }
+    return totals;
   }
 
   startAction(actionId) {
@@ -51,25 +113,68 @@ export class ActionController {
       if (result.reason === 'cant-afford') this.switchToRestAction();
       return false;
     }
-    this.onStateChange(this.s);
+    this.changed();
+    return true;
+  }
+
+  // Take a choice in the active encounter (null: its default); the action then carries on
+  resolveEncounter(choiceId = null) {
+    const result = this.model.encounters?.resolve(choiceId);
+    if (!result?.ok) return false;
+    // the outcome may have knocked the character out
+    if (this.model.injury?.isInjured() && this.s.defs.actions[this.s.currentAction]?.type !== 'recovery') {
+      this.continueRecovery();
+    }
+    this.changed();
     return true;
   }
 
   stopCurrentAction() {
-    console.log("Stop action");
     const id = this.model.stop();
     if (!id) return null;
-    this.log(`You paused your current action. Progress is saved.`);
-    this.onStateChange(this.s);
+    this.bus.emit(GameEvents.ActionStopped, { actionId: id });
+    this.changed();
     return id;
   }
 
 
   // — Controller-only policies —
 
-  switchToRestAction() {
-    this.s.previousAction = this.s.currentAction;
+  // Run the shared unlock pass over every content type and announce what's new
+  checkUnlocks() {
+    if (!this.unlocks) return false;
+    const unlocked = this.unlocks.checkUnlocks();
+    for (const u of unlocked) {
+      this.bus.emit(GameEvents.Unlocked, { contentType: u.type, id: u.id });
+    }
+    return unlocked.length > 0;
+  }
+
+  // Achievements are only checked when an action completes
+  checkAchievements() {
+    if (!this.achievements) return;
+    for (const id of this.achievements.check()) {
+      this.bus.emit(GameEvents.AchievementEarned, { achievementId: id });
+    }
+  }
+
+  // Keep recovering until Life is full, then rest and go back to what the character collapsed doing
+  continueRecovery() {
+    const injury = this.model.injury;
+    const collapsedDuring = this.s.injury?.actionId ?? null;
+    if (injury?.isInjured() && !injury.checkRecovered()) {
+      this.startAction(injury.recoveryActionId());
+      return;
+    }
+    this.s.previousAction = collapsedDuring;
+    this.startAction(this.s.defaultRestAction);
+  }
+
+  switchToRestAction(reason = 'depleted') {
+    const from = this.s.currentAction;
+    this.s.previousAction = from;
     if (this.s.defaultRestAction) {
+      this.bus.emit(GameEvents.RestSwitched, { from, to: this.s.defaultRestAction, reason });
       this.startAction(this.s.defaultRestAction);
     }
   }
@@ -85,51 +190,4 @@ export class ActionController {
     const a = this.s.actions[id];
     return !!(a && a.isRestAction);
   }
-
-  formatActionCompleted(event, state) {
-    const { actionId, rewards, timestamp } = event;
-    const action = state.actions?.[actionId];
-    const parts = [];
-
-    // Start with a base message
-    let actionName = action?.name || actionId;
-
-    if (typeof actionName === 'string' || actionName instanceof String) {
-      actionName = actionName.toString().replace(/_/g, ' ');
-    }
-
-    parts.push(`You completed ${actionName}.`);
-
-    // ---- Resource rewards ----
-    if (rewards?.resources && Object.keys(rewards.resources).length) {
-      const resourceMsgs = Object.entries(rewards.resources).map(([id, amount]) => {
-        const res = state.resources?.[id];
-        const name = res?.name || id;
-        return `${amount > 0 ? '+' : ''}${amount} ${name}`;
-      });
-      parts.push(` ${resourceMsgs.join(', ')}`);
-    }
-
-    // ---- Skill XP rewards ----
-    if (rewards?.skills && Object.keys(rewards.skills).length) {
-      const skillMsgs = Object.entries(rewards.skills).map(([id, xp]) => {
-        const skill = state.skills?.[id];
-        const name = skill?.name || id;
-        return `+${xp} ${name} XP`;
-      });
-      parts.push(skillMsgs.join(', ') + '.');
-    }
-
-    // Future-proofing: add other reward types as needed
-    // if (rewards.items) { ... }
-
-    return parts.join(' ');
-  }
-
-
-  log(message) {
-    this.s.actionLog.unshift({ message });
-    if (this.s.actionLog.length > 100) this.s.actionLog.pop();
-    this.onLog(message);
-  }
 }
@@ -0,0 +1,35 @@
+// js/controllers/classController.js
+import { GameEvents } from '../eventBus.js';
+
+// Player intents for choosing a starting class and taking promotions
+export class ClassController {
+  constructor(state, classModel, { bus, actionController = null }) {
+    this.s = state;
+    this.model = classModel;
+    this.bus = bus;
+    this.actionController = actionController;
+  }
+
+  choose(classId) {
+    const result = this.model.choose(classId);
+    if (result.ok) this.announce(GameEvents.ClassChosen, { classId });
+    return result;
+  }
+
+  promote(classId) {
+    const result = this.model.promote(classId);
+    if (!result.ok) return result;
+    // the old class's exclusive action can't carry on
+    const current = this.s.actions[this.s.currentAction];
+    if (current && this.actionController && !this.actionController.model.isAvailable(current)) {
+      this.actionController.stopCurrentAction();
+    }
+    this.announce(GameEvents.ClassPromoted, { from: result.from, to: classId });
+    return result;
+  }
+
+  announce(type, payload) {
+    this.bus.emit(type, payload);
+    this.bus.emit(GameEvents.StateChanged);
+  }
+}
@@ -0,0 +1,34 @@
+// js/controllers/equipmentController.js
+import { GameEvents } from '../eventBus.js';
+
+// Player intents from the Gear screen
+export class EquipmentController {
+  constructor(state, equipmentModel, { bus }) {
+    this.s = state;
+    this.model = equipmentModel;
+    this.bus = bus;
+  }
+
+  equip(equipmentId) {
+    const result = this.model.equip(equipmentId);
+    if (result.ok) {
+      const slot = this.s.defs.equipment[equipmentId].slot;
+      this.announce(GameEvents.EquipmentEquipped, { equipmentId, slot, replaced: result.replaced });
+    }
+    return result;
+  }
+
+  unequip(equipmentId) {
+    const result = this.model.unequip(equipmentId);
+    if (result.ok) {
+      const slot = this.s.defs.equipment[equipmentId].slot;
+      this.announce(GameEvents.EquipmentUnequipped, { equipmentId, slot });
+    }
+    return result;
+  }
+
+  announce(type, payload) {
+    this.bus.emit(type, payload);
+    this.bus.emit(GameEvents.StateChanged);
+  }
+}
@@ -0,0 +1,46 @@
+// js/controllers/homeController.js
+import { GameEvents } from '../eventBus.js';
+
+// Player intents from the House screen; the model does the bookkeeping
+export class HomeController {
+  constructor(state, homeModel, { bus }) {
+    this.s = state;
+    this.model = homeModel;
+    this.bus = bus;
+  }
+
+  buyHome(homeId) {
+    const result = this.model.buyHome(homeId);
+    if (result.ok) this.announce(GameEvents.HomePurchased, { homeId });
+    return result;
+  }
+
+  moveIn(homeId) {
+    const result = this.model.moveIn(homeId);
+    if (result.ok) this.announce(GameEvents.HomeMoved, { from: result.from, to: homeId });
+    return result;
+  }
+
+  buyFurniture(furnitureId) {
+    const result = this.model.buyFurniture(furnitureId);
+    if (result.ok) this.announce(GameEvents.FurniturePurchased, { furnitureId });
+    return result;
+  }
+
+  placeFurniture(furnitureId) {
+    const result = this.model.placeFurniture(furnitureId);
+    if (result.ok) this.announce(GameEvents.FurniturePlaced, { furnitureId, homeId: this.s.currentHome });
+    return result;
+  }
+
+  removeFurniture(furnitureId) {
+    const result = this.model.removeFurniture(furnitureId);
+    if (result.ok) this.announce(GameEvents.FurnitureRemoved, { furnitureId, homeId: this.s.currentHome });
+    return result;
+  }
+
+  announce(type, payload) {
+    this.bus.emit(type, payload);
+    this.bus.emit(GameEvents.StateChanged);
+  }
+}
@@ -0,0 +1,113 @@
+// js/controllers/logController.js
+import { GameEvents } from '../eventBus.js';
+
+// Turns game events into adventure-log lines (state.actionLog)
+export class LogController {
+  constructor(state, bus) {
+    this.s = state;
+    this.bus = bus;
+
+    // offline progress gets its own summary; don't replay it line by line
+    const live = (fn) => (event) => { if (!event.offline) fn(event); };
+
+    bus.on(GameEvents.ActionCompleted, live((e) => this.log(this.formatActionCompleted(e, this.s))));
+    bus.on(GameEvents.Collapsed, live((e) => this.log(`You collapse from your wounds${e.fee ? ` and a healer takes ${e.fee} ${this.nameOf('resources', 'gold')}` : ''}. You must recover before doing anything else.`)));
+    bus.on(GameEvents.Recovered, live(() => this.log(`Your wounds have healed.`)));
+    bus.on(GameEvents.EncounterStarted, live((e) => this.log(`${this.nameOf('events', e.eventId)}! ${this.s.defs.events?.[e.eventId]?.description ?? ''}`.trim())));
+    bus.on(GameEvents.EncounterResolved, live((e) => this.log(this.formatEncounterResolved(e))));
+    bus.on(GameEvents.ActionStopped, live(() => this.log(`You paused your current action. Progress is saved.`)));
+    bus.on(GameEvents.CharacterLevelUp, live((e) => this.log(`You reached character level ${e.level}!`)));
+    bus.on(GameEvents.SkillLevelUp, live((e) => this.log(`${this.nameOf('skills', e.skillId)} reached level ${e.level}!`)));
+    bus.on(GameEvents.Unlocked, live((e) => this.log(e.contentType === 'locations'
+      ? `You hear talk of a place called the ${this.nameOf('locations', e.id)}.`
+      : `${this.nameOf(e.contentType, e.id)} unlocked!`)));
+    bus.on(GameEvents.AchievementEarned, live((e) => this.log(`Achievement earned: ${this.nameOf('achievements', e.achievementId)}!`)));
+    bus.on(GameEvents.LocationDiscovered, live((e) => this.log(`You discovered the ${this.nameOf('locations', e.locationId)}!`)));
+    bus.on(GameEvents.HomePurchased, live((e) => this.log(`You bought the ${this.nameOf('homes', e.homeId)}.`)));
+    bus.on(GameEvents.HomeMoved, live((e) => this.log(`You moved. Home: ${this.nameOf('homes', e.to)}.`)));
+    bus.on(GameEvents.FurniturePurchased, live((e) => this.log(`You bought a ${this.nameOf('furniture', e.furnitureId)}.`)));
+    bus.on(GameEvents.ClassChosen, live((e) => this.log(`You set out as a ${this.nameOf('classes', e.classId)}.`)));
+    bus.on(GameEvents.ClassPromoted, live((e) => this.log(`You advanced from ${this.nameOf('classes', e.from)} to ${this.nameOf('classes', e.to)}!`)));
+    bus.on(GameEvents.EquipmentEquipped, live((e) => this.log(`You equip the ${this.nameOf('equipment', e.equipmentId)}.`)));
+    bus.on(GameEvents.EquipmentBroken, live((e) => this.log(`Your ${this.nameOf('equipment', e.equipmentId)} broke!`)));
+    bus.on(GameEvents.RestSwitched, live((e) => {
+      if (e.reason === 'depleted') this.log(`You're worn out and stop to ${this.nameOf('actions', e.to)}.`);
+      if (e.reason === 'recovered') this.log(`Fully rested, you go back to ${this.nameOf('actions', e.to)}.`);
+    }));
+  }
+
+  nameOf(type, id) {
+    return this.s.defs?.[type]?.[id]?.name ?? id;
+  }
+
+  formatActionCompleted(event, state) {
+    const { actionId, rewards } = event;
+    const parts = [];
+
+    // Start with a base message
+    let actionName = state.defs?.actions?.[actionId]?.name || actionId;
+
+    if (typeof actionName === 'string' || actionName instanceof String) {
+      actionName = actionName.toString().replace(/_/g, ' ');
+    }
+
+    parts.push(event.failed ? `You failed at ${actionName}.` : `You completed ${actionName}.`);
+    parts.push(...this.formatRewards(rewards));
+
+    // ---- Damage from failing ----
+    if (event.damage) parts.push(`-${event.damage} ${this.nameOf('resources', 'life')}.`);
+
+    return parts.join(' ');
+  }
+
+  formatEncounterResolved(event) {
+    const choice = this.s.defs.events?.[event.eventId]?.choices.find(c => c.id === event.choiceId);
+    const parts = [choice?.outcome || `You chose: ${choice?.label ?? event.choiceId}.`];
+    parts.push(...this.formatRewards(event.rewards));
+    const losses = Object.entries(event.lost ?? {}).map(([id, n]) => `-${n} ${this.nameOf('resources', id)}`);
+    if (event.damage) losses.push(`-${event.damage} ${this.nameOf('resources', 'life')}`);
+    if (losses.length) parts.push(losses.join(', ') + '.');
+    return parts.join(' ');
+  }
+
+  // Reward deltas ({ resources, skills, characterXp, equipment }) as message parts
+  formatRewards(rewards) {
+    const parts = [];
+
+    // ---- Resource rewards ----
+    if (rewards?.resources && Object.keys(rewards.resources).length) {
+      const resourceMsgs = Object.entries(rewards.resources).map(([id, amount]) => {
+        const name = this.nameOf('resources', id);
+        const shown = Math.round(amount); // regen can leave fractional top-ups
+        return `${shown > 0 ? '+' : ''}${shown} ${name}`;
+      });
+      parts.push(` ${resourceMsgs.join(', ')}`);
+    }
+
+    // ---- Skill XP rewards ----
+    if (rewards?.skills && Object.keys(rewards.skills).length) {
+      const skillMsgs = Object.entries(rewards.skills).map(([id, xp]) => {
+        const name = this.nameOf('skills', id);
+        return `+${xp} ${name} XP`;
+      });
+      parts.push(skillMsgs.join(', ') + '.');
+    }
+
+    // ---- Character XP ----
+    if (rewards?.characterXp) parts.push(`+${rewards.characterXp} XP.`);
+
+    // ---- Equipment ----
+    if (rewards?.equipment && Object.keys(rewards.equipment).length) {
+      const gearMsgs = Object.entries(rewards.equipment).map(([id, n]) => `+${n} ${this.nameOf('equipment', id)}`);
+      parts.push(gearMsgs.join(', ') + '.');
+    }
+
+    return parts;
+  }
+
+  log(message) {
+    this.s.actionLog.unshift({ message });
+    if (this.s.actionLog.length > 100) this.s.actionLog.pop();
+    this.bus.emit(GameEvents.Logged, { message });
+  }
+}
@@ -0,0 +1,99 @@
+// js/controllers/notificationController.js
+import { GameEvents } from '../eventBus.js';
+
+const PREFS_KEY = 'everlyn-notifications';
+const HISTORY_LIMIT = 50;
+
+// What the player can be told about, and what each does until they choose:
+// 'show' (toast and history), 'log' (history only) or 'mute'
+export const NOTIFICATION_CATEGORIES = {
+  unlocks:      { label: 'Unlocks and discoveries', mode: 'show' },
+  levelUps:     { label: 'Level-ups', mode: 'show' },
+  achievements: { label: 'Achievements', mode: 'show' },
+  purchases:    { label: 'Purchases', mode: 'show' },
+  encounters:   { label: 'Encounters', mode: 'show' },
+  injuries:     { label: 'Collapsing and recovering', mode: 'show' },
+  failures:     { label: 'Failed actions', mode: 'log' },
+  capped:       { label: 'Resources full', mode: 'log' },
+  rest:         { label: 'Resting', mode: 'log' },
+};
+export const NOTIFICATION_MODES = ['show', 'log', 'mute'];
+
+// Per-browser choices, { category: mode }; missing categories use their default
+export function readNotificationPrefs(local = globalThis.localStorage) {
+  try {
+    const prefs = JSON.parse(local?.getItem(PREFS_KEY));
+    return prefs && typeof prefs === 'object' ? prefs : {};
+  } catch {
+    return {};
+  }
+}
+
+export function writeNotificationPrefs(prefs, local = globalThis.localStorage) {
+  local.setItem(PREFS_KEY, JSON.stringify(prefs));
+}
+
+// Turns game events into notifications: kept in `history` (newest first) and
+// announced as Notified { notification } for the toast view, per category mode.
+// Offline progress is left to the offline summary.
+export class NotificationController {
+  constructor(state, bus, { prefs = {}, now = () => Date.now() } = {}) {
+    this.s = state;
+    this.bus = bus;
+    this.now = now;
+    this.prefs = { ...prefs };
+    this.history = [];
+
+    const live = (fn) => (event) => { if (!event.offline) fn(event); };
+    const on = (type, category, message) => bus.on(type, live((e) => {
+      const text = message(e);
+      if (text) this.notify(category, text);
+    }));
+
+    on(GameEvents.Unlocked, 'unlocks', (e) => e.contentType !== 'locations' && `${this.nameOf(e.contentType, e.id)} unlocked!`);
+    on(GameEvents.LocationDiscovered, 'unlocks', (e) => `You discovered the ${this.nameOf('locations', e.locationId)}!`);
+    on(GameEvents.SkillLevelUp, 'levelUps', (e) => `${this.nameOf('skills', e.skillId)} reached level ${e.level}!`);
+    on(GameEvents.CharacterLevelUp, 'levelUps', (e) => `You reached character level ${e.level}!`);
+    on(GameEvents.AchievementEarned, 'achievements', (e) => `Achievement earned: ${this.nameOf('achievements', e.achievementId)}!`);
+    on(GameEvents.ActionCompleted, 'purchases', (e) => this.s.defs.actions[e.actionId]?.type === 'purchase'
+      && `Purchased: ${this.nameOf('actions', e.actionId)}.`);
+    on(GameEvents.HomePurchased, 'purchases', (e) => `You bought the ${this.nameOf('homes', e.homeId)}.`);
+    on(GameEvents.FurniturePurchased, 'purchases', (e) => `You bought a ${this.nameOf('furniture', e.furnitureId)}.`);
+    on(GameEvents.EncounterStarted, 'encounters', (e) => `${this.nameOf('events', e.eventId)}! Choose what to do.`);
+    on(GameEvents.Collapsed, 'injuries', () => `You collapsed! Recover before doing anything else.`);
+    on(GameEvents.Recovered, 'injuries', () => `Your wounds have healed.`);
+    on(GameEvents.ActionCompleted, 'failures', (e) => e.failed
+      && `${this.nameOf('actions', e.actionId)} failed${e.damage ? ` (-${e.damage} ${this.nameOf('resources', 'life')})` : ''}.`);
+    on(GameEvents.ResourceCapped, 'capped', (e) => `${this.nameOf('resources', e.resourceId)} is full.`);
+    on(GameEvents.RestSwitched, 'rest', (e) => ({
+      depleted: `Worn out; switched to ${this.nameOf('actions', e.to)}.`,
+      purchased: `Purchase done; back to ${this.nameOf('actions', e.to)}.`,
+      recovered: `Rested; back to ${this.nameOf('actions', e.to)}.`,
+    })[e.reason]);
+  }
+
+  nameOf(type, id) {
+    return this.s.defs?.[type]?.[id]?.name ?? id;
+  }
+
+  modeOf(category) {
+    const mode = this.prefs[category];
+    return NOTIFICATION_MODES.includes(mode) ? mode : NOTIFICATION_CATEGORIES[category].mode;
+  }
+
+  setMode(category, mode) {
+    if (!NOTIFICATION_CATEGORIES[category] || !NOTIFICATION_MODES.includes(mode)) return false;
+    this.prefs[category] = mode;
+    return true;
+  }
+
+  notify(category, message) {
+    const mode = this.modeOf(category);
+    if (mode === 'mute') return null;
+    const notification = { category, message, at: this.now(), toast: mode === 'show' };
+    this.history.unshift(notification);
+    if (this.history.length > HISTORY_LIMIT) this.history.pop();
+    this.bus.emit(GameEvents.Notified, { notification });
+    return notification;
+  }
+}
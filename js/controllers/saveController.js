@@ -1,5 +1,13 @@
 // js/controllers/saveController.js
 import { createInitialState } from '../stateFactory.js';
+import { UNLOCKABLE_TYPES } from '../models/unlockModel.js';
+import { LocalStorageAdapter } from '../storage/localStorageAdapter.js';
+import { systemClock } from '../clock.js';
+import { SAVE_VERSION, SaveVersionError, migrateSave, pruneSave } from '../save/saveMigrations.js';
+import { encodeSave, decodeSave, previewSave } from '../save/saveCodec.js';
+import { SaveSlots, slotKey } from '../save/saveSlots.js';
+import { SaveBackups, sealSave, readSave } from '../save/saveBackups.js';
+import { createStorage, moveSaves, writeStorageConfig } from '../storage/storageBackends.js';
 
 // deep merge helper; merges nested objects so new props aren’t lost.
 // It skips frozen objects (like defs) to avoid writing to read-only properties.
@@ -21,40 +29,125 @@ function deepMerge(target, source) {
   }
 }
 
+// what the player has unlocked, per content type, keyed "type:id"
+// (locations count once discovered, not when they become discoverable)
+function unlockedSet(state) {
+  const out = new Set();
+  for (const type of UNLOCKABLE_TYPES) {
+    for (const [id, v] of Object.entries(state[type] || {})) {
+      if (type === 'locations' ? v.discovered : v.unlocked) out.add(`${type}:${id}`);
+    }
+  }
+  return out;
+}
+
+const earnedAchievements = (state) => Object.values(state.achievements || {}).filter(a => a.earned).map(a => a.id);
+
 export default class SaveController {
-  constructor(state, defs) {
+  constructor(state, defs, {
+    actionController = null,
+    storage = new LocalStorageAdapter(),
+    clock = systemClock,
+    lease = null,
+    maxOfflineMs = 8 * 60 * 60 * 1000,
+  } = {}) {
     this.state = state;
     this.defs = defs;
-    this.saveKey = 'everlyn-save';
-    this.version = 0.1;
+    this.actionController = actionController;
+    this.storage = storage; // see storage/localStorageAdapter.js for the interface
+    this.clock = clock;
+    this.slots = new SaveSlots(storage, { clock });
+    this.backups = new SaveBackups(storage);
+    this.slotId = null;  // active slot; picked by openSlot() on first save/load
+    this.saveKey = null;
+    this.version = SAVE_VERSION;
     this.autoSaveInterval = null;
+    this.maxOfflineMs = maxOfflineMs; // cap on how much offline time is simulated
+    this.offlineSummary = null;        // set by load() when offline progress was applied
+    this.migrationLog = [];            // what load() changed to bring the save up to date
+    this.recovery = null;              // set by load() when the save was damaged; see restoreBackup()
+    this.packConflict = null;          // set by load() when the save needs packs that are off
+
+    // with a tab lease, only the owning tab saves; handing over saves one last time
+    this.lease = lease;
+    lease?.onLost(async ({ requested }) => {
+      this.stopAutoSave();
+      if (requested) await this.save();
+    });
   }
 
-  // Serialise dynamic state to localStorage
-  save() {
-    const saveObj = {
+  // The save file: dynamic state only, stamped with format version, time and the content packs it was made with
+  snapshot() {
+    return {
       version: this.version,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
+      packs: [...(this.defs.packs?.enabled ?? [])],
       state: JSON.parse(
         JSON.stringify(this.state, (k, v) => (k === 'defs' ? undefined : v))
       ),
     };
+  }
+
+  // Open the active slot (adopting a pre-slots save, or starting a new slot if there's none)
+  async openSlot(id = null) {
+    if (!id) {
+      await this.slots.adoptLegacySave();
+      id = (await this.slots.getActive()) ?? (await this.slots.create());
+    }
+    this.slotId = id;
+    this.saveKey = slotKey(id);
+    await this.slots.setActive(id);
+    return id;
+  }
+
+  // Serialise dynamic state to the active slot, and into its ring of backups
+  async save() {
+    if (!this.state.character?.name) return; // nothing worth a slot before the character exists
+    // autosave doesn't await this: a storage backend that's down must not reject
     try {
-      localStorage.setItem(this.saveKey, JSON.stringify(saveObj));
+      if (this.lease && !(await this.lease.renew())) return; // another tab owns the game now
+      if (!this.slotId) await this.openSlot();
+      const text = sealSave(this.snapshot());
+      await this.storage.set(this.saveKey, text);
+      await this.backups.write(this.slotId, text);
+      await this.slots.record(this.slotId, this.state);
       console.log('Game saved.');
     } catch (err) {
       console.error('Failed to save game:', err);
     }
   }
 
-  // Load from localStorage and merge with a fresh state
-  load() {
-    const raw = localStorage.getItem(this.saveKey);
+  // Load from the storage adapter, migrate to the current format and merge with a fresh state.
+  // A save from a newer game version throws SaveVersionError instead of being loaded.
+  // A damaged save is quarantined and load() returns false with `recovery` set.
+  // A save made with content packs that are off returns false with `packConflict` set,
+  // unless `ignoreMissingPacks` (whatever came from those packs is then pruned).
+  async load({ ignoreMissingPacks = false } = {}) {
+    if (!this.slotId) await this.openSlot();
+    const raw = await this.storage.get(this.saveKey);
     if (!raw) return false;
+    const read = readSave(raw);
+    if (!read.ok) {
+      await this.quarantine(raw, read.reason);
+      return false;
+    }
+    const missing = (read.save.packs ?? []).filter(id => !this.defs.packs?.enabled.includes(id));
+    if (missing.length && !ignoreMissingPacks) {
+      // a pack that failed to load can't be turned back on from here
+      const broken = missing.filter(id => this.defs.packs?.failed?.some(f => f.id === id));
+      const installed = missing.filter(id => this.defs.packs?.available.some(p => p.id === id) && !broken.includes(id));
+      this.packConflict = { missing, installed, broken };
+      return false;
+    }
+    this.packConflict = null;
     try {
-      const parsed = JSON.parse(raw);
-      const savedState = parsed.state || parsed;
-      const fresh = createInitialState(this.defs);      
+      const log = (msg) => {
+        this.migrationLog.push(msg);
+        console.info(`[Everlyn] ${msg}`);
+      };
+      const parsed = pruneSave(migrateSave(read.save, this.defs, log), this.defs, log);
+      const savedState = parsed.state;
+      const fresh = createInitialState(this.defs);
 
       // If no character name return false
       if(savedState.character.name == '') {
@@ -65,15 +158,150 @@ export default class SaveController {
       deepMerge(fresh, savedState);
 
       // then update the live state; defs is skipped automatically
-      deepMerge(this.state, fresh);      
-      
+      deepMerge(this.state, fresh);
+
+      this.offlineSummary = this.applyOfflineProgress(parsed.timestamp);
+
       return true;
     } catch (err) {
+      // never fall through to a fresh game over a save we can't read yet
+      if (err instanceof SaveVersionError) throw err;
       console.error('Failed to load save:', err);
+      await this.quarantine(raw, 'unloadable');
       return false;
     }
   }
 
+  // Move a damaged primary save aside (so autosave can't overwrite it) and
+  // find the newest backup worth offering instead
+  async quarantine(raw, reason) {
+    const quarantineKey = await this.backups.quarantine(this.slotId, raw, this.clock.now());
+    await this.storage.remove(this.saveKey);
+    console.error(`[Everlyn] Save ${this.saveKey} is damaged (${reason}); kept as ${quarantineKey}.`);
+    const backup = await this.backups.newestValid(this.slotId);
+    this.recovery = {
+      reason,
+      quarantineKey,
+      backup: backup ? { key: backup.key, save: backup.save, preview: previewSave(backup.save, this.defs) } : null,
+    };
+  }
+
+  // Put the offered backup back as the slot's save and load it
+  async restoreBackup() {
+    const backup = this.recovery?.backup;
+    if (!backup) return false;
+    await this.storage.set(this.saveKey, await this.storage.get(backup.key));
+    this.recovery = null;
+    return this.load();
+  }
+
+  // Fast-forward the simulation by the time elapsed since `timestamp`,
+  // capped at maxOfflineMs. Returns a summary of what was gained, or null.
+  applyOfflineProgress(timestamp) {
+    if (!this.actionController || !Number.isFinite(timestamp)) return null;
+    const awayMs = this.clock.now() - timestamp;
+    if (awayMs < 1000) return null;
+    const simulatedMs = Math.min(awayMs, this.maxOfflineMs);
+
+    const resourcesBefore = Object.fromEntries(
+      Object.entries(this.state.resources).map(([id, r]) => [id, r.amount ?? 0])
+    );
+    const levelsBefore = Object.fromEntries(
+      Object.entries(this.state.skills).map(([id, sk]) => [id, sk.level ?? 0])
+    );
+    const unlockedBefore = unlockedSet(this.state);
+    const earnedBefore = earnedAchievements(this.state);
+    const characterLevelBefore = this.state.character.level ?? 0;
+
+    const totals = this.actionController.simulate(simulatedMs);
+
+    const resources = {};
+    for (const [id, before] of Object.entries(resourcesBefore)) {
+      // regen leaves fractional amounts; only report whole units
+      const delta = Math.trunc((this.state.resources[id]?.amount ?? 0) - before);
+      if (delta !== 0) resources[id] = delta;
+    }
+    const skills = {};
+    for (const [id, xp] of Object.entries(totals.skills)) {
+      skills[id] = { xp, levels: (this.state.skills[id]?.level ?? 0) - (levelsBefore[id] ?? 0) };
+    }
+    const unlocks = [...unlockedSet(this.state)]
+      .filter(key => !unlockedBefore.has(key))
+      .map(key => {
+        const [type, id] = key.split(':');
+        return { type, id };
+      });
+
+    return {
+      awayMs,
+      simulatedMs,
+      capped: awayMs > simulatedMs,
+      completions: totals.completions,
+      resources,
+      skills,
+      character: { xp: totals.characterXp, levels: (this.state.character.level ?? 0) - characterLevelBefore },
+      unlocks,
+      achievements: earnedAchievements(this.state).filter(id => !earnedBefore.includes(id)),
+      encounters: totals.encounters,
+    };
+  }
+
+  // Portable string for the Export dialog (also the .everlyn file contents)
+  async exportString() {
+    return encodeSave(this.snapshot());
+  }
+
+  // Decode and validate an exported string without touching the game.
+  // Returns { ok, save, preview } or { ok: false, reason }.
+  async readImport(text) {
+    try {
+      const save = await decodeSave(text, this.defs);
+      return { ok: true, save, preview: previewSave(save, this.defs) };
+    } catch (err) {
+      return { ok: false, reason: err.message };
+    }
+  }
+
+  // Replace the stored save with an imported one; the caller reloads to start it.
+  // The timestamp is reset so time since the export isn't paid out as offline progress.
+  async importSave(save) {
+    this.stopAutoSave();
+    if (!this.slotId) await this.openSlot();
+    await this.storage.set(this.saveKey, sealSave({ ...save, timestamp: this.clock.now() }));
+    await this.slots.record(this.slotId, save.state);
+  }
+
+  // Make `id` the slot the next page load opens; null = start a new character
+  async switchSlot(id) {
+    this.stopAutoSave();
+    if (this.slotId && id !== this.slotId) await this.save();
+    if (id === null) id = await this.slots.create();
+    await this.slots.setActive(id);
+  }
+
+  // Move every slot to another storage backend and make it the one used from the
+  // next page load. Returns { ok } or { ok: false, reason }; on failure the saves stay
+  // where they were (see moveSaves) and the storage in use doesn't change.
+  async switchStorage(config) {
+    let target;
+    try {
+      target = createStorage(config);
+      await target.keys(); // reachable?
+    } catch (err) {
+      return { ok: false, reason: err.message };
+    }
+    this.stopAutoSave();
+    try {
+      await this.save();
+      await moveSaves(this.storage, target, { overwrite: true });
+    } catch (err) {
+      this.startAutoSave();
+      return { ok: false, reason: err.message };
+    }
+    writeStorageConfig(config);
+    return { ok: true };
+  }
+
   // Autosave every 30 seconds
   startAutoSave(intervalMs = 30000) {
     this.autoSaveInterval = setInterval(() => this.save(), intervalMs);
@@ -84,7 +312,7 @@ export default class SaveController {
     if (this.autoSaveInterval) clearInterval(this.autoSaveInterval);
   }
 
-  // Prompt and wipe save with delay
+  // Prompt and wipe the active slot with delay
   wipe() {
     const c = this.state.character || {};
     const className =
@@ -94,8 +322,9 @@ export default class SaveController {
     const msg = `Are you certain you want to kill ${name} your Level ${level} ${className}?? There's no going back if you click yes.`;
     if (!confirm(msg)) return;
     // small delay before reload to let player reconsider
-    setTimeout(() => {
-      localStorage.removeItem(this.saveKey);
+    this.stopAutoSave();
+    setTimeout(async () => {
+      if (this.slotId) await this.slots.remove(this.slotId);
       location.reload();
     }, 1000);
   }
@@ -0,0 +1,51 @@
+// js/controllers/statsController.js
+import { GameEvents } from '../eventBus.js';
+import { emptyStats } from '../stateFactory.js';
+
+// Counts what happens in the game: lifetime totals in state.stats (saved with
+// the game) and the same totals for this session, since the page loaded
+// (offline catch-up included)
+export class StatsController {
+  constructor(state, bus) {
+    this.s = state;
+    this.bus = bus;
+    this.session = emptyStats();
+    this.session.playTimeMs = 0;
+
+    const addSkillXp = (rewards) => {
+      for (const [id, xp] of Object.entries(rewards?.skills ?? {})) this.add('skillXp', id, xp);
+    };
+    bus.on(GameEvents.ActionCompleted, (e) => {
+      this.add('completions', e.actionId, 1);
+      addSkillXp(e.rewards);
+    });
+    bus.on(GameEvents.EncounterResolved, (e) => addSkillXp(e.rewards));
+    bus.on(GameEvents.ResourceGained, (e) => this.add('earned', e.resourceId, e.amount));
+    bus.on(GameEvents.ResourceSpent, (e) => this.add('spent', e.resourceId, e.amount));
+  }
+
+  add(table, id, amount) {
+    for (const stats of [this.s.stats, this.session]) {
+      stats[table][id] = (stats[table][id] ?? 0) + amount;
+    }
+  }
+
+  // Called by ActionController every tick: time spent working or resting, and offline
+  tick(deltaMs) {
+    const actionId = this.s.currentAction;
+    const type = this.s.defs.actions[actionId]?.type;
+    // an action held up by an encounter isn't being worked on
+    const paused = !!this.s.encounter?.active;
+    const busy = actionId && !paused ? (type === 'rest' || type === 'recovery' ? 'restMs' : 'workMs') : null;
+    for (const stats of [this.s.stats, this.session]) {
+      if (busy) stats[busy] += deltaMs;
+      if (this.bus.offline) stats.offlineMs += deltaMs;
+    }
+    if (!this.bus.offline) this.session.playTimeMs += deltaMs;
+  }
+
+  // 'lifetime' | 'session' -> the totals, with play time
+  totals(scope) {
+    return scope === 'session' ? this.session : { ...this.s.stats, playTimeMs: this.s.playTimeMs ?? 0 };
+  }
+}
@@ -4,19 +4,40 @@ import ActionView from "../views/actionView.js";
 import SkillView from "../views/skillView.js";
 import ActionLogView from "../views/actionLogView.js";
 import CharacterView from "../views/characterView.js";
+import HomeView from "../views/homeView.js";
+import StatusView from "../views/statusView.js";
+import StatsView from "../views/statsView.js";
+import GearView from "../views/gearView.js";
+import LocationView from "../views/locationView.js";
+import AchievementView from "../views/achievementView.js";
+import { GameEvents } from "../eventBus.js";
 
 export default class ViewController {
-  constructor(defs, state, actionController) {
+  constructor(defs, state, actionController, bus, { homeController, classController, equipmentController, statsController, locationModel } = {}) {
     this.defs = defs;
     this.state = state;
     this.actionController = actionController;
+    this.homeController = homeController;
+    this.classController = classController;
+    this.equipmentController = equipmentController;
+
+    bus.on(GameEvents.StateChanged, () => this.update(this.state, this.defs));
+    bus.on(GameEvents.Unlocked, (e) => this.onUnlock(e));
+    bus.on(GameEvents.LocationDiscovered, () => this.flash("locations"));
+    bus.on(GameEvents.AchievementEarned, () => this.flash("achievements"));
 
     // instantiate sub‑views
     this.characterView = new CharacterView();
-    this.resourceView = new ResourceView();
+    this.resourceView = new ResourceView(actionController.model.resources);
     this.actionView = new ActionView(actionController);
     this.skillView = new SkillView();
     this.ActionLogView = new ActionLogView(this.actionController);
+    this.homeView = new HomeView(homeController);
+    this.statusView = new StatusView(classController);
+    this.statsView = new StatsView(statsController);
+    this.gearView = new GearView(equipmentController);
+    this.locationView = new LocationView(actionController, locationModel);
+    this.achievementView = new AchievementView();
 
     this.currentScreen = "main";
     this.initNav();
@@ -44,6 +65,23 @@ export default class ViewController {
     gameContainer.style.display = '';
   }
 
+  // Flash the nav tab whose screen shows a newly unlocked entry
+  onUnlock({ contentType, id }) {
+    if (contentType === "locations") return; // only worth a flash once discovered
+    const atLocation = contentType === "actions"
+      && this.actionController.model.requirements?.locationsIn(this.defs.actions[id]?.requirement).length;
+    const screen = atLocation
+      ? "locations"
+      : { skills: "skills", homes: "house", furniture: "house", classes: "status", equipment: "gear" }[contentType] ?? "main";
+    this.flash(screen);
+  }
+
+  flash(screen) {
+    if (screen === this.currentScreen) return;
+    const btn = document.querySelector(`#nav-bar .nav-button[data-screen="${screen}"]`);
+    if (btn) btn.classList.add("flashing");
+  }
+
   showScreen(screen) {
     this.currentScreen = screen;
     // update screen visibility
@@ -56,6 +94,7 @@ export default class ViewController {
         "active",
         btn.getAttribute("data-screen") === screen
       );
+      if (btn.getAttribute("data-screen") === screen) btn.classList.remove("flashing");
     });
     // refresh views for the new screen
     this.update(this.state, this.defs);
@@ -71,5 +110,11 @@ export default class ViewController {
     this.actionView.update(state, defs);
     this.skillView.update(state, defs);
     this.ActionLogView.update(state, defs);
+    this.homeView.update(state, defs);
+    this.statusView.update(state, defs);
+    this.statsView.update(state, defs);
+    this.gearView.update(state, defs);
+    this.locationView.update(state, defs);
+    this.achievementView.update(state, defs);
   }
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
 // js/createCharacter.js
-import { CharacterModel } from './models/characterModel.js';
+import { CharacterModel, isValidName } from './models/characterModel.js';
 
-export function setupCharacterCreation(state, viewController) {
+export function setupCharacterCreation(state, viewController, classController) {
   const charModel = new CharacterModel(state);
   const overlay = document.getElementById('character-creation-overlay');
   const gameContainer = document.getElementById('game-container');
@@ -9,7 +9,7 @@ export function setupCharacterCreation(state, viewController) {
   const nameInput = document.getElementById('character-name');
   const classButtons = document.querySelectorAll('.class-choice');
   const vC = viewController;
-  let selectedClass = 'Waif'; // default
+  let selectedClass = 'waif'; // default (class ids are lowercase, see data/classes.json)
 
   // highlight selected class
   classButtons.forEach(btn => {
@@ -20,11 +20,6 @@ export function setupCharacterCreation(state, viewController) {
     });
   });
 
-  // validate name: 2–20 alphanumeric/spaces
-  function isValidName(name) {
-    return /^[A-Za-z0-9 ]{2,20}$/.test(name);
-  }
-
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     const name = nameInput.value.trim();
@@ -32,11 +27,16 @@ export function setupCharacterCreation(state, viewController) {
       alert('Name must be 2–20 characters and contain only letters, numbers or spaces.');
       return;
     }
-    // set character in state
-    charModel.setCharacter(name, selectedClass);
+    // class first: a named character is what autosave stores, so only name one that has a class
+    const chosen = classController.choose(selectedClass);
+    if (!chosen.ok) {
+      alert(`You can't start as that class (${chosen.reason}).`);
+      return;
+    }
+    charModel.setCharacter(name);
     // update header
     const info = document.getElementById('character-info');
-    info.textContent = `${name} the Level ${state.character.level} ${selectedClass}`;
+    info.textContent = `${name} the Level ${state.character.level} ${state.defs.classes[selectedClass].name}`;
     // hide overlay / show game
     vC.loadGameScreen();
   });
@@ -0,0 +1,110 @@
+// js/eventBus.js
+
+/**
+ * Every event type the game emits. Payloads (besides `type` and `offline`):
+ *   ActionStarted     { actionId, resumed }
+ *   ActionCompleted   { actionId, rewards: { resources, skills, equipment, characterXp }, failed, damage, timestamp }
+ *   ActionCostFailed  { actionId, lacking }
+ *   ActionStopped     { actionId }
+ *   Collapsed         { actionId, fee }     (Life ran out; see models/injuryModel.js)
+ *   Recovered         { actionId }
+ *   EncounterStarted  { eventId, actionId }   (the action pauses; see models/encounterModel.js)
+ *   EncounterResolved { eventId, actionId, choiceId, defaulted, rewards, lost, damage }
+ *   SkillLevelUp      { skillId, level }
+ *   CharacterLevelUp  { level }
+ *   ResourceCapped    { resourceId, maximum }
+ *   ResourceGained    { resourceId, amount }   (granted, not regen)
+ *   ResourceSpent     { resourceId, amount }
+ *   Unlocked          { contentType, id }
+ *   AchievementEarned { achievementId }
+ *   RestSwitched      { from, to, reason: 'depleted' | 'purchased' | 'recovered' }
+ *   HomePurchased     { homeId }
+ *   HomeMoved         { from, to }
+ *   FurniturePurchased { furnitureId }
+ *   FurniturePlaced   { furnitureId, homeId }
+ *   FurnitureRemoved  { furnitureId, homeId }
+ *   ClassChosen       { classId }
+ *   ClassPromoted     { from, to }
+ *   EquipmentEquipped { equipmentId, slot, replaced }
+ *   EquipmentUnequipped { equipmentId, slot }
+ *   EquipmentBroken   { equipmentId }
+ *   LocationDiscovered { locationId }
+ *   Logged            { message }
+ *   Notified          { notification: { category, message, at, toast } }
+ *   StateChanged      {}
+ */
+export const GameEvents = Object.freeze({
+  ActionStarted: "ActionStarted",
+  ActionCompleted: "ActionCompleted",
+  ActionCostFailed: "ActionCostFailed",
+  ActionStopped: "ActionStopped",
+  Collapsed: "Collapsed",
+  Recovered: "Recovered",
+  EncounterStarted: "EncounterStarted",
+  EncounterResolved: "EncounterResolved",
+  SkillLevelUp: "SkillLevelUp",
+  CharacterLevelUp: "CharacterLevelUp",
+  ResourceCapped: "ResourceCapped",
+  ResourceGained: "ResourceGained",
+  ResourceSpent: "ResourceSpent",
+  Unlocked: "Unlocked",
+  AchievementEarned: "AchievementEarned",
+  RestSwitched: "RestSwitched",
+  HomePurchased: "HomePurchased",
+  HomeMoved: "HomeMoved",
+  FurniturePurchased: "FurniturePurchased",
+  FurniturePlaced: "FurniturePlaced",
+  FurnitureRemoved: "FurnitureRemoved",
+  ClassChosen: "ClassChosen",
+  ClassPromoted: "ClassPromoted",
+  EquipmentEquipped: "EquipmentEquipped",
+  EquipmentUnequipped: "EquipmentUnequipped",
+  EquipmentBroken: "EquipmentBroken",
+  LocationDiscovered: "LocationDiscovered",
+  Logged: "Logged",
+  Notified: "Notified",
+  StateChanged: "StateChanged",
+});
+
+export class EventBus {
+  constructor() {
+    this.handlers = new Map(); // type -> Set<fn>; "*" receives everything
+    this.offline = false;      // true while offline progress is being simulated
+  }
+
+  // Subscribe to an event type (or "*"). Returns an unsubscribe function.
+  on(type, fn) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(fn);
+    return () => this.off(type, fn);
+  }
+
+  once(type, fn) {
+    const off = this.on(type, (event) => {
+      off();
+      fn(event);
+    });
+    return off;
+  }
+
+  off(type, fn) {
+    this.handlers.get(type)?.delete(fn);
+  }
+
+  emit(type, payload = {}) {
+    const event = { ...payload, type, offline: this.offline };
+    for (const key of [type, "*"]) {
+      const set = this.handlers.get(key);
+      if (!set) continue;
+      for (const fn of [...set]) {
+        // one broken subscriber must not stop the simulation
+        try {
+          fn(event);
+        } catch (err) {
+          console.error(`[Everlyn] ${type} handler failed:`, err);
+        }
+      }
+    }
+    return event;
+  }
+}
@@ -0,0 +1,53 @@
+// js/headless.js
+//
+// Run the game logic without a browser:
+//
+//   import { createHeadlessGame } from "./js/headless.js";
+//   const game = await createHeadlessGame({ seed: 42 });
+//   game.state.character.name = "Test";
+//   game.actionController.startAction("beg");
+//   game.advance(60 * 60 * 1000); // one in-game hour
+//
+import { fileURLToPath } from "node:url";
+import { composeGame } from "./boot/composeGame.js";
+import { fileContentSource } from "./boot/contentSources.js";
+import { createManualClock } from "./clock.js";
+import { createSeededRng } from "./rng.js";
+import { MemoryStorageAdapter } from "./storage/memoryStorageAdapter.js";
+
+const DEFAULT_DATA_DIR = fileURLToPath(new URL("../data/", import.meta.url));
+
+export async function createHeadlessGame({
+  seed = Date.now(),
+  content = null,        // any content source; defaults to reading data/*.json
+  dataDir = DEFAULT_DATA_DIR,
+  startTime = 0,
+  storage = new MemoryStorageAdapter(),
+  packs = null,          // content pack ids; null: the manifest's defaults
+} = {}) {
+  const clock = createManualClock(startTime);
+  const game = await composeGame({
+    content: content ?? fileContentSource(dataDir),
+    clock,
+    rng: createSeededRng(seed),
+    storage,
+    packs,
+  });
+
+  /**
+   * Fast-forward the game by `ms`, ticking like the browser loop does.
+   * Events fire as they would live (offline: false).
+   */
+  function advance(ms, stepMs = 100) {
+    let remaining = Math.max(0, ms);
+    while (remaining > 0) {
+      const step = Math.min(stepMs, remaining);
+      clock.advance(step);
+      game.actionController.update(step);
+      remaining -= step;
+    }
+    return clock.now();
+  }
+
+  return { ...game, seed, advance };
+}
@@ -1,42 +1,114 @@
 // js/main.js
 import { composeGame } from "./boot/composeGame.js";
+import { GameEvents } from "./eventBus.js";
 import ViewController from "./controllers/viewController.js";
 import { setupCharacterCreation } from "./createCharacter.js";
-import SaveController from "./controllers/saveController.js";
+import OfflineSummaryView from "./views/offlineSummaryView.js";
+import SaveTransferView from "./views/saveTransferView.js";
+import SlotPickerView from "./views/slotPickerView.js";
+import RecoveryView from "./views/recoveryView.js";
+import TabConflictView from "./views/tabConflictView.js";
+import { LocalStorageAdapter } from "./storage/localStorageAdapter.js";
+import { TabLease } from "./save/tabLease.js";
+import { openStorage } from "./storage/storageBackends.js";
+import StorageView from "./views/storageView.js";
+import { readEnabledPacks, writeEnabledPacks } from "./boot/contentPacks.js";
+import PacksView from "./views/packsView.js";
+import PackConflictView from "./views/packConflictView.js";
+import { readNotificationPrefs } from "./controllers/notificationController.js";
+import NotificationView from "./views/notificationView.js";
+import EncounterView from "./views/encounterView.js";
 
 let viewController = null;
 
 window.addEventListener("DOMContentLoaded", async () => {
   try {
-    // compose the game and hook into state changes
-    const { defs, state, actionController } = await composeGame({
-      onLog: (msg) => console.log(msg),
-      onStateChange: (s) => {
-        if (viewController) {
-          viewController.update(s, defs);
-        }
-      },
-    });
+    // only one tab plays; wait for the player to take over before touching the saves
+    const tabLease = new TabLease(new LocalStorageAdapter());
+    const tabConflict = new TabConflictView();
+    if (!(await tabLease.acquire()).ok) {
+      await tabConflict.ask("Everlyn is already open in another tab.");
+      await tabLease.takeOver();
+      tabConflict.hide();
+    }
+    window.addEventListener("pagehide", () => tabLease.release());
+
+    // open the chosen storage backend (moving any localStorage saves into it)
+    const { storage, config: storageConfig, error: storageError } = await openStorage();
+
+    // compose the game; subsystems subscribe to its event bus
+    const {
+      defs, state, bus, locationModel,
+      actionController, logController, statsController, notificationController,
+      homeController, classController, equipmentController, saveController,
+    } = await composeGame({ storage, tabLease, packs: readEnabledPacks(), notificationPrefs: readNotificationPrefs() });
+    bus.on(GameEvents.Logged, (e) => console.log(e.message));
 
     // expose game for debugging
-    window.Game = { defs, state, actionController };
+    window.Game = { defs, state, bus, actionController, homeController, classController, equipmentController };
+
+    // toasts and the Alerts dialog; listening before load so nothing is missed
+    new NotificationView(notificationController, bus);
 
     // instantiate our view controller
-    viewController = new ViewController(defs, state, actionController);
-    
+    viewController = new ViewController(defs, state, actionController, bus, { homeController, classController, equipmentController, statsController, locationModel });
+    for (const { id } of defs.packs.failed) {
+      const name = defs.packs.available.find(p => p.id === id)?.name ?? id;
+      logController.log(`The ${name} content pack has errors and wasn't loaded; turn it off under Packs.`);
+    }
+    if (storageError) logController.log(`Couldn't reach your save storage (${storageError.message}); saving in this browser instead.`);
+
     // load any saved game before the initial render
-    const saveController = new SaveController(state, defs);
-    const loaded = saveController.load();
+    let loaded = await saveController.load();
+    if (saveController.packConflict) {
+      // saved with packs that are off: turn them back on, or load and lose their content
+      const conflict = saveController.packConflict;
+      if (await new PackConflictView().ask(conflict, defs.packs.available) === "enable") {
+        writeEnabledPacks([...defs.packs.enabled, ...conflict.installed]);
+        location.reload();
+        return;
+      }
+      loaded = await saveController.load({ ignoreMissingPacks: true });
+    }
+    if (saveController.recovery) {
+      // damaged save: offer the newest backup before anything can autosave over the slot
+      const { backup } = saveController.recovery;
+      if (await new RecoveryView().ask(saveController.recovery)) {
+        loaded = await saveController.restoreBackup();
+        if (loaded) logController.log(`Your save was damaged; restored the backup from ${new Date(backup.save.timestamp).toLocaleString()}.`);
+      }
+    }
+    if (saveController.offlineSummary) {
+      const offlineView = new OfflineSummaryView();
+      logController.log(offlineView.formatLogLine(saveController.offlineSummary, defs));
+      offlineView.show(saveController.offlineSummary, defs);
+    }
     // initial render after load (shows saved character if exists)
     viewController.update(state, defs);
 
     // start autosave and attach the Save/Wipe buttons
     saveController.startAutoSave();
     saveController.attachButtons();
+    new SaveTransferView(saveController);
+    new StorageView(saveController, storageConfig);
+    new PacksView(saveController, defs.packs);
+    const slotPicker = new SlotPickerView(saveController);
+    new EncounterView(actionController, bus);
 
-    // start the game loop
+    // start the game loop; it stops for good if another tab takes over
+    let running = true;
+    tabLease.onLost(({ requested }) => {
+      running = false;
+      // not awaited: the other tab is waiting for this one to let go
+      tabConflict.ask(requested
+        ? "Everlyn was opened in another tab. Your progress here was saved."
+        : "Another tab took over the game while this one was idle.")
+        .then(() => tabLease.takeOver())
+        .then(() => location.reload());
+    });
     let lastTick = performance.now();
     function loop(now) {
+      if (!running) return;
       const delta = now - lastTick;
       lastTick = now;
       actionController.update(delta);
@@ -46,8 +118,9 @@ window.addEventListener("DOMContentLoaded", async () => {
     requestAnimationFrame(loop);
 
     if (!loaded) {
-      // initialize character creation overlay
-    setupCharacterCreation(state, viewController);
+      // initialize character creation overlay, behind the slot picker
+      setupCharacterCreation(state, viewController, classController);
+      await slotPicker.show();
     }
 
     if (loaded) {
@@ -0,0 +1,36 @@
+// js/models/achievementModel.js
+
+// Achievements are earned the first time their requirement is met and stay
+// earned; their effects (if any) then apply for good through the modifier pipeline
+export class AchievementModel {
+  constructor(state, { requirements, modifierModel = null, now = () => Date.now() }) {
+    this.s = state;
+    this.requirements = requirements;
+    this.now = now;
+
+    modifierModel?.addSource('achievements', () => this.earned()
+      .map(id => ({ id, effects: this.s.defs.achievements[id]?.effects })));
+  }
+
+  earned() {
+    return Object.values(this.s.achievements || {}).filter(a => a.earned).map(a => a.id);
+  }
+
+  /**
+   * Mark every achievement whose requirement is now met as earned.
+   * Returns the ids earned by this call.
+   */
+  check() {
+    const earned = [];
+    for (const [id, def] of Object.entries(this.s.defs.achievements)) {
+      const st = this.s.achievements[id];
+      if (!st || st.earned) continue;
+      if (this.requirements.areMet(def.requirement)) {
+        st.earned = true;
+        st.earnedAt = this.now();
+        earned.push(id);
+      }
+    }
+    return earned;
+  }
+}
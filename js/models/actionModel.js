@@ -1,11 +1,92 @@
 // js/model/actionModel.js
+import { GameEvents } from '../eventBus.js';
+
 export class ActionModel {
-  constructor(state, { rng = Math.random, now = () => Date.now(), resourceModel, skillModel } = {}) {
+  constructor(state, { rng = Math.random, now = () => Date.now(), resourceModel, skillModel, modifierModel = null, requirementModel = null, equipmentModel = null, locationModel = null, characterModel = null, injuryModel = null, encounterModel = null, bus = null } = {}) {
     this.s = state;
     this.rng = rng;
     this.now = now;
     this.resources = resourceModel;
     this.skills = skillModel;
+    this.modifiers = modifierModel;
+    this.requirements = requirementModel;
+    this.equipment = equipmentModel;
+    this.locations = locationModel;
+    this.character = characterModel;
+    this.injury = injuryModel;
+    this.encounters = encounterModel;
+    this.bus = bus;
+  }
+
+  // — Effective values: base numbers with modifiers applied at use time —
+
+  modify(type, base, ctx) {
+    return this.modifiers ? this.modifiers.apply(type, base, ctx) : base;
+  }
+
+  context(action) {
+    return { action: action.id, tags: this.s.defs.actions[action.id]?.tags ?? [] };
+  }
+
+  // Duration in ms
+  getDuration(action) {
+    return Math.max(0, this.modify('duration', action.duration, this.context(action)));
+  }
+
+  // [{ resource, amt, base }]
+  getCosts(action) {
+    const ctx = this.context(action);
+    return (action.cost || []).map(c => ({
+      ...c,
+      base: c.amt ?? 0,
+      amt: Math.max(0, Math.round(this.modify('cost', c.amt ?? 0, { ...ctx, resource: c.resource }))),
+    }));
+  }
+
+  // Reward entries with min/max (resources) or amt (skill XP) modified; `base` keeps the originals
+  getRewards(action) {
+    const ctx = this.context(action);
+    return (action.reward || []).map(e => {
+      if (e.resource && typeof e.maxChange !== 'number') {
+        const min = Number.isFinite(e.min) ? e.min : (e.amt ?? 0);
+        const max = Number.isFinite(e.max) ? e.max : min;
+        const rctx = { ...ctx, resource: e.resource };
+        return {
+          resource: e.resource,
+          min: Math.max(0, Math.round(this.modify('reward', min, rctx))),
+          max: Math.max(0, Math.round(this.modify('reward', max, rctx))),
+          base: { min, max },
+        };
+      }
+      if (e.skill) {
+        const amt = Math.max(0, Math.round(this.modify('reward', e.amt ?? 0, { ...ctx, skill: e.skill })));
+        return { skill: e.skill, amt, base: { amt: e.amt ?? 0 } };
+      }
+      if (typeof e.characterXp === 'number') {
+        const characterXp = Math.max(0, Math.round(this.modify('reward', e.characterXp, ctx)));
+        return { characterXp, base: { characterXp: e.characterXp } };
+      }
+      return { ...e };
+    });
+  }
+
+  // Chance (0-1) that the action fails; each level of a perLevel skill takes its share off
+  getFailureChance(action) {
+    const risk = this.s.defs.actions[action.id]?.risk;
+    if (!risk) return 0;
+    let chance = risk.chance;
+    for (const [skill, per] of Object.entries(risk.perLevel)) {
+      chance -= per * (this.s.skills[skill]?.level ?? 0);
+    }
+    return Math.min(1, Math.max(risk.minChance, chance));
+  }
+
+  // Unlocked, and not reserved for a class the character doesn't have.
+  // Recovery actions are only there while injured.
+  isAvailable(action) {
+    if (!action?.unlocked) return false;
+    if (this.s.defs.actions[action.id]?.type === 'recovery' && !this.injury?.isInjured()) return false;
+    return !this.requirements || this.requirements.classAllows(this.s.defs.actions[action.id]?.requirement);
   }
 
   getCurrentAction() {
@@ -16,7 +97,7 @@ export class ActionModel {
   canAfford(actionId) {
     const a = this.s.actions[actionId];
     if (!a) return { ok:false, reason:'missing' };
-    for (const { resource, amt } of (a.cost || [])) {
+    for (const { resource, amt } of this.getCosts(a)) {
       const r = this.s.resources[resource];
       if (!r || (r.amount ?? 0) < (amt ?? 0)) {
         return { ok:false, reason:'insufficient', lacking:{ resource, amt } };
@@ -27,37 +108,41 @@ export class ActionModel {
 
   start(actionId) {
     const action = this.s.actions[actionId];
-    if (!action || !action.unlocked) return { ok: false, reason: 'locked' };
+    if (!this.isAvailable(action)) return { ok: false, reason: 'locked' };
+    if (this.injury?.isInjured() && this.s.defs.actions[actionId].type !== 'recovery'
+      && actionId !== this.injury.recoveryActionId()) return { ok: false, reason: 'injured' };
+    if (this.encounters?.active()) return { ok: false, reason: 'encounter' };
 
-    if (!this.canAfford(action.id).ok) {
+    const affordable = this.canAfford(action.id);
+    if (!affordable.ok) {
+      this.bus?.emit(GameEvents.ActionCostFailed, { actionId, lacking: affordable.lacking });
       return { ok: false, reason: 'cant-afford' };
     }
 
     if (action.currentProgress == 0) {
       const costs = this.applyCosts(action);
       if (!costs.ok) {
-        return {        
-          completed:false, event:{ type:'ActionCostFailed', results:costs.results } 
-        };
+        this.bus?.emit(GameEvents.ActionCostFailed, { actionId, results: costs.results });
+        return { ok: false, reason: 'cant-afford' };
       }
+      // a fresh run may have something happen partway through
+      this.encounters?.roll(actionId);
     }
 
     this.s.currentAction = actionId;
     action.lastActionStartTime = this.now();
-    // Don’t touch UI here—return a message for controller/view
+    // Don’t touch UI here—announce it and let subscribers react
     const resumed = action.currentProgress > 0;
+    this.bus?.emit(GameEvents.ActionStarted, { actionId, resumed });
 
-    return {
-      ok: true,
-      message: resumed
-        ? `You resumed ${action.id} at ${Math.floor(action.currentProgress * 100)}%.`
-        : `You started ${action.id}.`,
-    };
+    return { ok: true, resumed };
   }
 
   tickProgress(action, deltaTime) {
     // authoritative progress math lives in the Model
-    action.currentProgress += deltaTime / action.duration;
+    action.currentProgress += deltaTime / this.getDuration(action);
+    // an encounter stops progress where it happens
+    if (this.encounters?.reach(action)) return { completed: false, encounter: true };
     if (action.currentProgress >= 1) {
       return this.complete(action);
     }
@@ -65,7 +150,7 @@ export class ActionModel {
   }
 
   applyCosts(action) {
-    const entries = Array.isArray(action.cost) ? action.cost : [];
+    const entries = this.getCosts(action);
     const results = [];
     for (const e of entries) {
       if (e.resource) {
@@ -79,13 +164,17 @@ export class ActionModel {
 
   // Expect an injected RNG: this.rng() -> [0,1)
   // and state like: this.s.resources, this.s.skills
-  applyRewards(action) {
-    const entries = Array.isArray(action.reward) ? action.reward : [];
-    const deltas = { resources: {}, skills: {} };
+  // `share` < 1 pays that part of resources and XP (rounded down) and skips gear, repairs and max increases
+  applyRewards(action, share = 1) {
+    const entries = this.getRewards(action);
+    const deltas = { resources: {}, skills: {}, equipment: {}, characterXp: 0 };
+    if (share <= 0) return { ok: true, deltas };
+    const part = (n) => (share < 1 ? Math.floor(n * share) : n);
 
     for (const e of entries) {
       if (e.resource) {
         if (typeof e.maxChange === 'number') {
+          if (share < 1) continue;
           // Handle maxChange reward
           const res = this.resources.maxChange(e.resource, e.maxChange);
           if (res.ok && res.applied) {
@@ -97,46 +186,74 @@ export class ActionModel {
         const min = Number.isFinite(e.min) ? e.min : (e.amt ?? 0);
         const max = Number.isFinite(e.max) ? e.max : min;
         const roll = Math.floor((this.rng() ?? Math.random()) * (max - min + 1)) + min;
-        const res = this.resources.grant(e.resource, roll);
+        const res = this.resources.grant(e.resource, part(roll));
         if (res.ok && res.applied) {
           deltas.resources[e.resource] = (deltas.resources[e.resource] ?? 0) + res.applied;
         }
         continue;
       }
       if (e.skill) {
-        const xp = e.amt ?? 0;
+        const xp = part(e.amt ?? 0);
         const res = this.skills.addXP(e.skill, xp);
         if (res.ok && res.applied) {
           deltas.skills[e.skill] = (deltas.skills[e.skill] ?? 0) + res.applied;
         }
         continue;
       }
+      if (typeof e.characterXp === 'number' && this.character) {
+        const res = this.character.addXP(part(e.characterXp));
+        if (res.ok) deltas.characterXp += res.applied;
+        continue;
+      }
+      if (share < 1) continue;
+      if (e.equipment && this.equipment) {
+        const res = this.equipment.grant(e.equipment, e.amt ?? 1);
+        if (res.ok) deltas.equipment[e.equipment] = (deltas.equipment[e.equipment] ?? 0) + res.applied;
+        continue;
+      }
+      if (e.repair && this.equipment) {
+        this.equipment.repair(e.repair, e.amt ?? 0);
+        continue;
+      }
     }
     return { ok: true, deltas };
   }
 
 
+  // null on success; on failure, the share of rewards still paid and the Life it costs
+  rollFailure(action) {
+    const risk = this.s.defs.actions[action.id]?.risk;
+    if (!risk || (this.rng() ?? Math.random()) >= this.getFailureChance(action)) return null;
+    const { min, max } = risk.damage;
+    const damage = max > 0 ? Math.floor((this.rng() ?? Math.random()) * (max - min + 1)) + min : 0;
+    return { share: risk.onFailure === 'partial' ? risk.partial : 0, damage };
+  }
+
   complete(action) {
-    const rewards = this.applyRewards(action);
+    // risky actions may fail: part or none of the reward, and Life lost
+    const failure = this.rollFailure(action);
+    const rewards = this.applyRewards(action, failure ? failure.share : 1);
+    const damage = failure?.damage ? -(this.resources.lose('life', failure.damage).applied ?? 0) : 0;
+    // equipped gear wears down on actions carrying its wearTags
+    this.equipment?.wear(this.context(action).tags);
+    // exploring actions may turn up a new place
+    if (!failure) this.locations?.explore(action);
 
     // bookkeeping that is local to the action instance
     action.completionCount = (action.completionCount || 0) + 1;
     action.currentProgress = 0;
     action.lastActionStartTime = this.now();
-    this.checkRestDone();
-
-    // improvements can stay here, but DO NOT mutate shared definitions
-    // use multipliers stored on instance, or derive at payout time
 
-    return {
-      completed: true,
-      event: {
-        type: 'ActionCompleted',
-        actionId: action.id,
-        rewards: rewards.deltas,
-        timestamp: this.now()
-      }
-    };
+    const event = this.bus?.emit(GameEvents.ActionCompleted, {
+      actionId: action.id,
+      rewards: rewards.deltas,
+      failed: !!failure,
+      damage,
+      timestamp: this.now(),
+    });
+    if (damage && (this.s.resources.life?.amount ?? 0) <= 0) this.injury?.collapse(action.id);
+    this.checkRestDone();
+    return { completed: true, event };
   }
 
   stop() {
@@ -155,90 +272,14 @@ export class ActionModel {
     if (this.s.defs.actions[this.s.currentAction].type === "rest") {
       const allFull = stats.every(stat => {
         const res = this.s.resources[stat.id];
-        return res && res.amount === res.maximum;
+        return res && res.amount >= this.resources.getMaximum(stat.id);
       });
       if (allFull && this.s.previousAction) {
+        const from = this.s.currentAction;
         this.s.currentAction = this.s.previousAction;
         this.s.previousAction = null;
+        this.bus?.emit(GameEvents.RestSwitched, { from, to: this.s.currentAction, reason: 'recovered' });
       }
     }
   }
-
-  /**
-   * Returns true if ALL requirements on the action definition are satisfied.
-   * Supports:
-   *   - { "resource": "<id>", "amt": N }
-   *   - { "skill": "<id>", "level": N }
-   *   - { "location": "<id>" }   // requires discovered == true
-   *   - { "class": "<id>" }
-   */
-  canUnlock(actionId) {
-    const actionState = this.s.actions?.[actionId];
-    const defAction = this.s.defs?.actions?.[actionId];
-    if (!actionState || !defAction) return false;
-    if (actionState.unlocked) return false;
-
-    const reqs = Array.isArray(defAction.requirement) ? defAction.requirement : [];
-
-    for (const rq of reqs) {
-      if (!rq || typeof rq !== "object") continue;
-
-      // Resource requirement
-      if ("resource" in rq) {
-        const res = this.s.resources?.[rq.resource];
-        const amt = rq.amt ?? 0;
-        if (!res || (res.amount ?? 0) < amt) return false;
-        continue;
-      }
-
-      // Skill-level requirement
-      if ("skill" in rq) {
-        const sk = this.s.skills?.[rq.skill];
-        const lvl = rq.level ?? 0;
-        if (!sk || (sk.level ?? 0) < lvl) return false;
-        continue;
-      }
-
-      // Location requirement (must be discovered)
-      if ("location" in rq) {
-        const loc = this.s.locations?.[rq.location];
-        if (!loc || !loc.discovered) return false;
-        continue;
-      }
-
-      // Class requirement
-      if ("class" in rq) {
-        const classId = this.s.character?.classId;
-        if (!classId || classId !== rq.class) return false;
-        continue;
-      }
-
-      // Unknown requirement type: be conservative
-      return false;
-    }
-
-    return true;
-  }
-
-  /**
-   * Iterate over all actions and unlock any that now meet their requirements.
-   * Returns true if at least one action changed from locked -> unlocked.
-   */
-  checkUnlocks() {
-    let changed = false;
-    const defs = this.s.defs?.actions;
-    if (!defs) return false;
-    for (const id of Object.keys(defs)) {
-      const aState = this.s.actions?.[id];
-      if (!aState || aState.unlocked) continue;
-      if (this.canUnlock(id)) {
-        aState.unlocked = true;        
-        console.log(aState, " unlocked");
-        changed = true;
-      }
-    }
-
-    this.resources.checkUnlocks();
-    return changed;
-  }
 }
\ No newline at end of file
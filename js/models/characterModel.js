@@ -1,11 +1,30 @@
 // js/models/characterModel.js
+import { GameEvents } from '../eventBus.js';
+
+// What every character level is worth, as modifiers scaled by level (see modifierModel.js)
+export const LEVEL_EFFECTS = [
+  { type: "maximum", resource: "life", add: 2 },
+  { type: "maximum", resource: "stamina", add: 2 },
+];
+
+// Character names: 2–20 letters, numbers or spaces
+export function isValidName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9 ]{2,20}$/.test(name);
+}
+
 export class CharacterModel {
-  constructor(state) {
+  constructor(state, { bus = null, modifierModel = null } = {}) {
     this.s = state;
+    this.bus = bus;
+
+    modifierModel?.addSource('character', () => {
+      const level = this.s.character.level ?? 0;
+      return level > 0 ? [{ id: 'level', effects: LEVEL_EFFECTS, scale: level }] : [];
+    });
   }
-  setCharacter(name, classId) {
+  // the class is picked through ClassModel.choose so its starting bonus applies
+  setCharacter(name) {
     this.s.character.name = name;
-    this.s.character.classId = classId;
   }
   addXP(amount) {
     const c = this.s.character;
@@ -14,6 +33,8 @@ export class CharacterModel {
       c.xp -= c.xpToNext;
       c.level++;
       c.xpToNext = Math.ceil(c.xpToNext * 1.1);
+      this.bus?.emit(GameEvents.CharacterLevelUp, { level: c.level });
     }
+    return { ok: true, applied: amount };
   }
-}
\ No newline at end of file
+}
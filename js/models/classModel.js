@@ -0,0 +1,78 @@
+// js/models/classModel.js
+
+/**
+ * Class definitions (data/classes.json):
+ *   tier          0 = starting classes, 1+ = reached by promotion
+ *   promotesFrom  class ids this one can be reached from (omit = any class of the tier below)
+ *   startingBonus reward-shaped entries granted on becoming the class:
+ *                 { resource, amt } | { skill, amt }  (skill amt is XP)
+ *   effects       passive modifiers while it is the current class (see modifierModel.js)
+ *
+ * A class is `unlocked` once its requirements are met; that makes it
+ * available for promotion, nothing more.
+ */
+export class ClassModel {
+  constructor(state, { resourceModel, skillModel, now = () => Date.now() }) {
+    this.s = state;
+    this.resources = resourceModel;
+    this.skills = skillModel;
+    this.now = now;
+  }
+
+  current() {
+    return this.s.character.classId;
+  }
+
+  tier(classId = this.current()) {
+    return this.s.defs.classes[classId]?.tier ?? 0;
+  }
+
+  // Pick the starting class for a new character
+  choose(classId) {
+    const def = this.s.defs.classes[classId];
+    if (!def || !this.s.classes[classId]?.unlocked) return { ok: false, reason: 'locked' };
+    if (def.tier !== 0) return { ok: false, reason: 'not-a-starting-class' };
+    if (this.current()) return { ok: false, reason: 'already-chosen' };
+    this.become(classId);
+    return { ok: true };
+  }
+
+  canPromote(classId) {
+    const def = this.s.defs.classes[classId];
+    const from = this.current();
+    if (!def || !this.s.classes[classId]?.unlocked) return { ok: false, reason: 'locked' };
+    if (!from) return { ok: false, reason: 'no-class' };
+    if (def.tier !== this.tier(from) + 1) return { ok: false, reason: 'wrong-tier' };
+    if (Array.isArray(def.promotesFrom) && !def.promotesFrom.includes(from)) {
+      return { ok: false, reason: 'wrong-path' };
+    }
+    return { ok: true };
+  }
+
+  // Classes the character could be promoted into right now
+  availablePromotions() {
+    return Object.keys(this.s.defs.classes).filter(id => this.canPromote(id).ok);
+  }
+
+  promote(classId) {
+    const check = this.canPromote(classId);
+    if (!check.ok) return check;
+    const from = this.current();
+    this.become(classId);
+    return { ok: true, from };
+  }
+
+  become(classId) {
+    const c = this.s.character;
+    c.classId = classId;
+    c.classHistory = [...(c.classHistory || []), { classId, at: this.now() }];
+    this.grantStartingBonus(classId);
+  }
+
+  grantStartingBonus(classId) {
+    for (const b of (this.s.defs.classes[classId]?.startingBonus || [])) {
+      if (b.resource) this.resources.grant(b.resource, b.amt ?? 0);
+      else if (b.skill) this.skills.addXP(b.skill, b.amt ?? 0);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+// js/models/encounterModel.js
+import { GameEvents } from '../eventBus.js';
+
+/**
+ * Encounters are the events in data/events.json, met in the middle of an action:
+ *   - when a matching action starts a fresh run, each event rolls its `chance`;
+ *     the first hit is scheduled for a random point of that run (state.encounter)
+ *   - when progress gets there the action pauses (`active`) until a choice is made
+ *   - offline nobody can choose, so ActionController takes the `defaultChoice`
+ *
+ * An event matches an ordinary action listed in its `actions` or carrying one of
+ * its `tags` (when it names neither, every ordinary action), while its
+ * requirement is met (skills, discovered locations, ...).
+ */
+export class EncounterModel {
+  constructor(state, { rng = Math.random, requirements = null, resourceModel, skillModel, characterModel = null, equipmentModel = null, injuryModel = null, bus = null }) {
+    this.s = state;
+    this.rng = rng;
+    this.requirements = requirements;
+    this.resources = resourceModel;
+    this.skills = skillModel;
+    this.character = characterModel;
+    this.equipment = equipmentModel;
+    this.injury = injuryModel;
+    this.bus = bus;
+  }
+
+  // The encounter holding up the current action, or null
+  active() {
+    const encounter = this.s.encounter;
+    return encounter?.active ? encounter : null;
+  }
+
+  met(reqs) {
+    return !this.requirements || this.requirements.areMet(reqs);
+  }
+
+  // Event definitions that can happen during `actionId` right now
+  eligible(actionId) {
+    const action = this.s.defs.actions[actionId];
+    if (action?.type !== 'action') return [];
+    return Object.values(this.s.defs.events ?? {}).filter(ev => {
+      const matches = ev.actions.includes(actionId)
+        || ev.tags.some(tag => action.tags.includes(tag))
+        || (!ev.actions.length && !ev.tags.length);
+      return matches && this.met(ev.requirement);
+    });
+  }
+
+  // A fresh run of `actionId` began; returns the id of the event scheduled for it, if any
+  roll(actionId) {
+    this.s.encounter = null;
+    for (const ev of this.eligible(actionId)) {
+      if ((this.rng() ?? Math.random()) >= ev.chance) continue;
+      // somewhere in the middle of the run, never right at its start or end
+      const at = 0.2 + 0.6 * (this.rng() ?? Math.random());
+      this.s.encounter = { eventId: ev.id, actionId, at, active: false };
+      return ev.id;
+    }
+    return null;
+  }
+
+  // Called as `action` progresses: pauses it at the scheduled point. Returns the encounter or null.
+  reach(action) {
+    const encounter = this.s.encounter;
+    if (!encounter || encounter.active || encounter.actionId !== action.id) return null;
+    if (action.currentProgress < encounter.at) return null;
+    action.currentProgress = encounter.at;
+    encounter.active = true;
+    this.bus?.emit(GameEvents.EncounterStarted, { eventId: encounter.eventId, actionId: encounter.actionId });
+    return encounter;
+  }
+
+  // The active event's choices the character can take
+  choices() {
+    const encounter = this.active();
+    if (!encounter) return [];
+    return this.s.defs.events[encounter.eventId].choices.filter(c => this.met(c.requirement));
+  }
+
+  // Take a choice (null: the event's default) and apply its outcome
+  resolve(choiceId = null) {
+    const encounter = this.active();
+    if (!encounter) return { ok: false, reason: 'no-encounter' };
+    const def = this.s.defs.events[encounter.eventId];
+    const choice = this.choices().find(c => c.id === (choiceId ?? def.defaultChoice));
+    if (!choice) return { ok: false, reason: 'unavailable' };
+
+    const outcome = this.applyOutcome(choice);
+    this.s.encounter = null;
+    this.bus?.emit(GameEvents.EncounterResolved, {
+      eventId: def.id,
+      actionId: encounter.actionId,
+      choiceId: choice.id,
+      defaulted: choiceId === null,
+      ...outcome,
+    });
+    if (outcome.damage && (this.s.resources.life?.amount ?? 0) <= 0) this.injury?.collapse(encounter.actionId);
+    return { ok: true, choiceId: choice.id, ...outcome };
+  }
+
+  // Rewards as for actions (unmodified), then losses and damage.
+  // Returns { rewards: { resources, skills, equipment, characterXp }, lost: { resource: n }, damage }
+  applyOutcome(choice) {
+    const roll = ({ min, max }) => Math.floor((this.rng() ?? Math.random()) * (max - min + 1)) + min;
+    const rewards = { resources: {}, skills: {}, equipment: {}, characterXp: 0 };
+
+    for (const e of choice.reward) {
+      if (e.resource) {
+        const amt = Number.isFinite(e.min) ? roll(e) : (e.amt ?? 0);
+        const res = this.resources.grant(e.resource, amt);
+        if (res.ok && res.applied) rewards.resources[e.resource] = (rewards.resources[e.resource] ?? 0) + res.applied;
+      } else if (e.skill) {
+        const res = this.skills.addXP(e.skill, e.amt ?? 0);
+        if (res.ok && res.applied) rewards.skills[e.skill] = (rewards.skills[e.skill] ?? 0) + res.applied;
+      } else if (typeof e.characterXp === 'number' && this.character) {
+        const res = this.character.addXP(e.characterXp);
+        if (res.ok) rewards.characterXp += res.applied;
+      } else if (e.equipment && this.equipment) {
+        const res = this.equipment.grant(e.equipment, e.amt ?? 1);
+        if (res.ok) rewards.equipment[e.equipment] = (rewards.equipment[e.equipment] ?? 0) + res.applied;
+      }
+    }
+
+    // losses take what there is
+    const lost = {};
+    for (const { resource, amt } of choice.lose) {
+      const taken = -(this.resources.lose(resource, amt).applied ?? 0);
+      if (taken) lost[resource] = (lost[resource] ?? 0) + taken;
+    }
+
+    const hurt = choice.damage.max > 0 ? roll(choice.damage) : 0;
+    const damage = hurt ? -(this.resources.lose('life', hurt).applied ?? 0) : 0;
+    return { rewards, lost, damage };
+  }
+}
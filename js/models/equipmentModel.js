@@ -0,0 +1,96 @@
+// js/models/equipmentModel.js
+import { GameEvents } from '../eventBus.js';
+
+/**
+ * Equipment definitions (data/equipment.json):
+ *   slot        one of EQUIPMENT_SLOTS; one item per slot
+ *   durability  max durability; omit for items that never wear out
+ *   wearTags    action tags that cost 1 durability per completion while equipped
+ *   effects     modifiers while equipped (see modifierModel.js)
+ *
+ * `owned` counts copies; `durability` belongs to the copy in use. When it hits
+ * zero that copy breaks: it's unequipped, one copy is lost and the next one
+ * (if any) starts fresh.
+ */
+export const EQUIPMENT_SLOTS = ["weapon", "tool", "clothing", "accessory"];
+
+export class EquipmentModel {
+  constructor(state, { bus = null } = {}) {
+    this.s = state;
+    this.bus = bus;
+  }
+
+  def(id) {
+    return this.s.defs.equipment[id];
+  }
+
+  // Id of the item worn in `slot`, or null
+  equippedIn(slot) {
+    return Object.keys(this.s.equipment)
+      .find(id => this.s.equipment[id].equipped && this.def(id)?.slot === slot) ?? null;
+  }
+
+  grant(id, count = 1) {
+    const item = this.s.equipment[id];
+    if (!item) return { ok: false, reason: 'missing-equipment' };
+    item.owned += count;
+    item.unlocked = true;
+    if (item.durability == null) item.durability = this.def(id).durability;
+    return { ok: true, applied: count };
+  }
+
+  equip(id) {
+    const item = this.s.equipment[id];
+    if (!item || item.owned < 1) return { ok: false, reason: 'not-owned' };
+    if (item.equipped) return { ok: false, reason: 'already-equipped' };
+    const replaced = this.equippedIn(this.def(id).slot);
+    if (replaced) this.s.equipment[replaced].equipped = false;
+    item.equipped = true;
+    return { ok: true, replaced };
+  }
+
+  unequip(id) {
+    const item = this.s.equipment[id];
+    if (!item || !item.equipped) return { ok: false, reason: 'not-equipped' };
+    item.equipped = false;
+    return { ok: true };
+  }
+
+  // Called when an action completes; equipped items whose wearTags match lose 1 durability
+  wear(tags = []) {
+    const broken = [];
+    for (const item of Object.values(this.s.equipment)) {
+      const def = this.def(item.id);
+      if (!item.equipped || item.durability == null) continue;
+      if (!def.wearTags.some(t => tags.includes(t))) continue;
+      item.durability = Math.max(0, item.durability - 1);
+      if (item.durability === 0) {
+        this.break(item);
+        broken.push(item.id);
+      }
+    }
+    return broken;
+  }
+
+  break(item) {
+    item.equipped = false;
+    item.owned = Math.max(0, item.owned - 1);
+    item.durability = item.owned > 0 ? this.def(item.id).durability : null;
+    this.bus?.emit(GameEvents.EquipmentBroken, { equipmentId: item.id });
+  }
+
+  // Restore durability to whatever is equipped in `slot` ("any" = every slot)
+  repair(slot, amount) {
+    let applied = 0;
+    for (const s of slot === "any" ? EQUIPMENT_SLOTS : [slot]) {
+      const id = this.equippedIn(s);
+      const max = id ? this.def(id).durability : null;
+      if (max == null) continue;
+      const item = this.s.equipment[id];
+      const before = item.durability;
+      item.durability = Math.min(max, before + amount);
+      applied += item.durability - before;
+    }
+    return { ok: true, applied };
+  }
+}
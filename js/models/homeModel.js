@@ -0,0 +1,94 @@
+// js/models/homeModel.js
+export class HomeModel {
+  constructor(state, { resourceModel, modifierModel }) {
+    this.s = state;
+    this.resources = resourceModel;
+
+    // placed furniture feeds its effects into the modifier pipeline
+    modifierModel.addSource('furniture', () => {
+      const home = this.getCurrentHome();
+      return home ? home.currentFurniture.map(id => ({ id, effects: this.s.defs.furniture[id]?.effects })) : [];
+    });
+  }
+
+  getCurrentHome() {
+    const id = this.s.currentHome;
+    return id ? this.s.homes[id] : null;
+  }
+
+  floorSpace(homeId = this.s.currentHome) {
+    return this.s.defs.homes[homeId]?.floorSpace ?? 0;
+  }
+
+  usedFloorSpace(homeId = this.s.currentHome) {
+    const home = this.s.homes[homeId];
+    if (!home) return 0;
+    return home.currentFurniture.reduce(
+      (sum, fId) => sum + (this.s.defs.furniture[fId]?.floorSpace ?? 0), 0
+    );
+  }
+
+  canAfford(cost) {
+    return (cost || []).every(({ resource, amt }) => (this.s.resources[resource]?.amount ?? 0) >= (amt ?? 0));
+  }
+
+  pay(cost) {
+    if (!this.canAfford(cost)) return { ok: false, reason: 'cant-afford' };
+    for (const { resource, amt } of (cost || [])) this.resources.spend(resource, amt ?? 0);
+    return { ok: true };
+  }
+
+  buyHome(homeId) {
+    const home = this.s.homes[homeId];
+    if (!home || !home.unlocked) return { ok: false, reason: 'locked' };
+    if (home.owned) return { ok: false, reason: 'already-owned' };
+    const paid = this.pay(this.s.defs.homes[homeId].cost);
+    if (!paid.ok) return paid;
+    home.owned = true;
+    return { ok: true };
+  }
+
+  // Moving packs up all furniture from the old home
+  moveIn(homeId) {
+    const home = this.s.homes[homeId];
+    if (!home || !home.owned) return { ok: false, reason: 'not-owned' };
+    if (this.s.currentHome === homeId) return { ok: false, reason: 'already-home' };
+    const old = this.getCurrentHome();
+    if (old) {
+      for (const fId of old.currentFurniture) this.s.furniture[fId].placed--;
+      old.currentFurniture = [];
+    }
+    this.s.currentHome = homeId;
+    return { ok: true, from: old?.id ?? null };
+  }
+
+  buyFurniture(furnitureId) {
+    const f = this.s.furniture[furnitureId];
+    if (!f || !f.unlocked) return { ok: false, reason: 'locked' };
+    const paid = this.pay(this.s.defs.furniture[furnitureId].cost);
+    if (!paid.ok) return paid;
+    f.owned++;
+    return { ok: true };
+  }
+
+  placeFurniture(furnitureId) {
+    const f = this.s.furniture[furnitureId];
+    const home = this.getCurrentHome();
+    if (!f || !home) return { ok: false, reason: 'missing' };
+    if (f.owned - f.placed <= 0) return { ok: false, reason: 'none-in-storage' };
+    const size = this.s.defs.furniture[furnitureId].floorSpace;
+    if (this.usedFloorSpace() + size > this.floorSpace()) return { ok: false, reason: 'no-space' };
+    home.currentFurniture.push(furnitureId);
+    f.placed++;
+    return { ok: true };
+  }
+
+  removeFurniture(furnitureId) {
+    const home = this.getCurrentHome();
+    const idx = home ? home.currentFurniture.indexOf(furnitureId) : -1;
+    if (idx < 0) return { ok: false, reason: 'not-placed' };
+    home.currentFurniture.splice(idx, 1);
+    this.s.furniture[furnitureId].placed--;
+    return { ok: true };
+  }
+}
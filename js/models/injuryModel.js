@@ -0,0 +1,45 @@
+// js/models/injuryModel.js
+import { GameEvents } from '../eventBus.js';
+
+// What collapsing costs: whoever patches you up takes up to this much
+export const HEALER_FEE = { resource: 'gold', amt: 5 };
+
+// A character whose Life runs out collapses: they're injured (state.injury) and
+// can do nothing but the recovery action (state.recoveryAction) until Life is full again
+export class InjuryModel {
+  constructor(state, { resourceModel, bus = null, now = () => Date.now() }) {
+    this.s = state;
+    this.resources = resourceModel;
+    this.bus = bus;
+    this.now = now;
+  }
+
+  isInjured() {
+    return !!this.s.injury;
+  }
+
+  // What an injured character does: the recovery action, or resting if the content has none
+  recoveryActionId() {
+    return this.s.recoveryAction ?? this.s.defaultRestAction;
+  }
+
+  // Life ran out during `actionId`
+  collapse(actionId) {
+    const purse = this.s.resources[HEALER_FEE.resource];
+    const fee = Math.min(HEALER_FEE.amt, Math.floor(purse?.amount ?? 0));
+    if (fee > 0) this.resources.spend(HEALER_FEE.resource, fee);
+    this.s.injury = { actionId, at: this.now(), fee };
+    this.bus?.emit(GameEvents.Collapsed, { actionId, fee });
+    return this.s.injury;
+  }
+
+  // Ends the injury once Life is full; returns true if it did
+  checkRecovered() {
+    const injury = this.s.injury;
+    if (!injury) return false;
+    if ((this.s.resources.life?.amount ?? 0) < this.resources.getMaximum('life')) return false;
+    this.s.injury = null;
+    this.bus?.emit(GameEvents.Recovered, { actionId: injury.actionId });
+    return true;
+  }
+}
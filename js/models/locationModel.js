@@ -0,0 +1,76 @@
+// js/models/locationModel.js
+import { GameEvents } from '../eventBus.js';
+
+/**
+ * Locations are found, not unlocked:
+ *   - `unlocked`   requirements are met, so the place can be found
+ *   - `discovered` the player has found it; its actions and effects apply
+ *
+ * Actions with a `discovery: { chance }` block roll on every completion.
+ * Exploration skill raises the chance (+25% of base per level) and makes
+ * harder places (location `discoveryDifficulty`, an Exploration level) as
+ * likely as easy ones (`discoveryWeight`, default 1).
+ */
+export class LocationModel {
+  constructor(state, { rng = Math.random, requirements = null, bus = null } = {}) {
+    this.s = state;
+    this.rng = rng;
+    this.requirements = requirements;
+    this.bus = bus;
+  }
+
+  explorationLevel() {
+    return this.s.skills.exploration?.level ?? 0;
+  }
+
+  discovered() {
+    return Object.values(this.s.locations).filter(l => l.discovered);
+  }
+
+  // Places that could turn up right now, with their draw weights
+  candidates() {
+    const level = this.explorationLevel();
+    return Object.values(this.s.locations)
+      .filter(l => l.unlocked && !l.discovered)
+      .map(l => {
+        const def = this.s.defs.locations[l.id];
+        const weight = def.discoveryWeight * Math.min(1, (1 + level) / (1 + def.discoveryDifficulty));
+        return { id: l.id, weight };
+      })
+      .filter(c => c.weight > 0);
+  }
+
+  discoveryChance(action) {
+    const base = this.s.defs.actions[action.id]?.discovery?.chance ?? 0;
+    return Math.min(1, base * (1 + 0.25 * this.explorationLevel()));
+  }
+
+  // Roll after an action completes; returns the discovered id or null
+  explore(action) {
+    const chance = this.discoveryChance(action);
+    if (chance <= 0 || this.rng() >= chance) return null;
+
+    const pool = this.candidates();
+    const total = pool.reduce((sum, c) => sum + c.weight, 0);
+    if (total <= 0) return null;
+
+    let roll = this.rng() * total;
+    const pick = pool.find(c => (roll -= c.weight) < 0) ?? pool[pool.length - 1];
+    return this.discover(pick.id) ? pick.id : null;
+  }
+
+  discover(id) {
+    const loc = this.s.locations[id];
+    if (!loc || loc.discovered) return false;
+    loc.discovered = true;
+    loc.unlocked = true;
+    this.bus?.emit(GameEvents.LocationDiscovered, { locationId: id });
+    return true;
+  }
+
+  // Actions tied to `id` through a location requirement
+  actionsAt(id) {
+    return Object.keys(this.s.defs.actions)
+      .filter(aId => this.requirements?.locationsIn(this.s.defs.actions[aId].requirement).includes(id));
+  }
+}
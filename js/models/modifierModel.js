@@ -0,0 +1,111 @@
+// js/models/modifierModel.js
+
+/**
+ * Effect shape (from skills, classes, equipment, furniture, locations):
+ *   { type, add?, mult?, resource?, skill?, action?, tag? }
+ *
+ *   type      what it changes: "regen" | "maximum" | "duration" | "cost" | "reward"
+ *   add/mult  value = (base + Σadd) × Πmult
+ *   resource, skill, action, tag
+ *             optional selectors; every one given must match the context
+ *
+ * Legacy { type: "increaseRegen", resource, amount } reads as { type: "regen", add: amount }.
+ * Skill effects are per level: add × level, mult ^ level.
+ */
+export const MODIFIER_TYPES = ["regen", "maximum", "duration", "cost", "reward"];
+
+export function normalizeEffect(fx) {
+  if (fx?.type === "increaseRegen") {
+    return { type: "regen", resource: fx.resource, add: fx.amount ?? 0 };
+  }
+  return fx;
+}
+
+export class ModifierModel {
+  constructor(state) {
+    this.s = state;
+    this.sources = new Map(); // kind -> () => [{ id, effects, scale? }]
+
+    this.addSource("skills", () => Object.values(this.s.skills)
+      .filter(sk => sk.level > 0)
+      .map(sk => ({ id: sk.id, effects: this.s.defs.skills[sk.id]?.effects, scale: sk.level })));
+
+    this.addSource("classes", () => {
+      const id = this.s.character?.classId;
+      return id && this.s.defs.classes[id] ? [{ id, effects: this.s.defs.classes[id].effects }] : [];
+    });
+
+    this.addSource("equipment", () => Object.values(this.s.equipment)
+      .filter(e => e.equipped)
+      .map(e => ({ id: e.id, effects: this.s.defs.equipment[e.id]?.effects })));
+
+    this.addSource("locations", () => Object.values(this.s.locations)
+      .filter(l => l.discovered)
+      .map(l => ({ id: l.id, effects: this.s.defs.locations[l.id]?.effects })));
+  }
+
+  // Register another provider of effects (e.g. HomeModel for placed furniture)
+  addSource(kind, fn) {
+    this.sources.set(kind, fn);
+  }
+
+  // Every active effect, tagged with where it came from
+  collect() {
+    const out = [];
+    for (const [kind, fn] of this.sources) {
+      for (const { id, effects, scale = 1 } of fn()) {
+        for (const raw of (effects || [])) {
+          const effect = normalizeEffect(raw);
+          if (effect?.type) out.push({ source: { kind, id }, effect, scale });
+        }
+      }
+    }
+    return out;
+  }
+
+  matches(effect, type, ctx) {
+    if (effect.type !== type) return false;
+    for (const key of ["resource", "skill", "action"]) {
+      if (effect[key] !== undefined && effect[key] !== ctx[key]) return false;
+    }
+    if (effect.tag !== undefined && !(ctx.tags || []).includes(effect.tag)) return false;
+    return true;
+  }
+
+  /**
+   * Work out the effective value and which effects contributed.
+   * ctx: { resource?, skill?, action?, tags? }
+   */
+  breakdown(type, base, ctx = {}) {
+    let add = 0;
+    let mult = 1;
+    const parts = [];
+    for (const { source, effect, scale } of this.collect()) {
+      if (!this.matches(effect, type, ctx)) continue;
+      if (typeof effect.add === "number") add += effect.add * scale;
+      if (typeof effect.mult === "number") mult *= Math.pow(effect.mult, scale);
+      parts.push({ source, effect, scale });
+    }
+    return { base, value: (base + add) * mult, parts };
+  }
+
+  apply(type, base, ctx = {}) {
+    return this.breakdown(type, base, ctx).value;
+  }
+}
+
+// "+1/s Life regen", "×0.9 Beg duration" — for tooltips
+export function describeEffect(raw, defs) {
+  const fx = normalizeEffect(raw);
+  const target = [
+    fx.resource && (defs.resources?.[fx.resource]?.name ?? fx.resource),
+    fx.skill && `${defs.skills?.[fx.skill]?.name ?? fx.skill} XP`,
+    fx.action && (defs.actions?.[fx.action]?.name ?? fx.action),
+    fx.tag && `${fx.tag} actions`,
+  ].filter(Boolean).join(" ") || "all";
+  const label = { regen: "regen", maximum: "max", duration: "duration", cost: "cost", reward: "rewards" }[fx.type] ?? fx.type;
+  const amounts = [];
+  if (typeof fx.add === "number") amounts.push(`${fx.add >= 0 ? "+" : ""}${fx.add}${fx.type === "regen" ? "/s" : ""}`);
+  if (typeof fx.mult === "number") amounts.push(`×${fx.mult}`);
+  return `${amounts.join(" ")} ${target} ${label}`;
+}
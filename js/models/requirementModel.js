@@ -0,0 +1,100 @@
+// js/models/requirementModel.js
+export class RequirementModel {
+  constructor(state) { this.s = state; }
+
+  /**
+   * Returns true if ALL requirements in the list are satisfied.
+   * A missing or empty list is always satisfied.
+   */
+  areMet(reqs) {
+    const list = Array.isArray(reqs) ? reqs : (reqs ? [reqs] : []);
+    return list.every(rq => this.isMet(rq));
+  }
+
+  /**
+   * Evaluate a single requirement. Supports:
+   *   - { "resource": "<id>", "amt": N }
+   *   - { "skill": "<id>", "level": N }
+   *   - { "location": "<id>" }              // location must be discovered
+   *   - { "class": "<id>" }
+   *   - { "action": "<id>", "completions": N }
+   *   - { "characterLevel": N }
+   *   - { "all": [ ... ] }, { "any": [ ... ] }, { "not": { ... } | [ ... ] }
+   * Unknown or empty requirements are treated as unmet.
+   */
+  isMet(rq) {
+    if (!rq || typeof rq !== "object") return false;
+
+    // Compound requirements
+    if ("all" in rq) return this.areMet(rq.all);
+    if ("any" in rq) {
+      const list = Array.isArray(rq.any) ? rq.any : [];
+      return list.some(r => this.isMet(r));
+    }
+    if ("not" in rq) return !this.areMet(rq.not);
+
+    // Resource requirement
+    if ("resource" in rq) {
+      const res = this.s.resources?.[rq.resource];
+      return !!res && (res.amount ?? 0) >= (rq.amt ?? 0);
+    }
+
+    // Skill-level requirement
+    if ("skill" in rq) {
+      const sk = this.s.skills?.[rq.skill];
+      return !!sk && (sk.level ?? 0) >= (rq.level ?? 0);
+    }
+
+    // Location requirement
+    if ("location" in rq) {
+      const loc = this.s.locations?.[rq.location];
+      return !!loc && !!loc.discovered;
+    }
+
+    // Class requirement
+    if ("class" in rq) {
+      const classId = this.s.character?.classId;
+      return !!classId && classId === rq.class;
+    }
+
+    // Action completion count
+    if ("action" in rq) {
+      const a = this.s.actions?.[rq.action];
+      return !!a && (a.completionCount ?? 0) >= (rq.completions ?? 1);
+    }
+
+    // Character level
+    if ("characterLevel" in rq) {
+      return (this.s.character?.level ?? 0) >= rq.characterLevel;
+    }
+
+    // Unknown requirement type: be conservative
+    return false;
+  }
+
+  /**
+   * Class-exclusive content stays unlocked for good, but is only usable while
+   * the character has a matching class. Evaluates just the class requirements
+   * (everything else counts as met); `not` branches are ignored.
+   */
+  classAllows(reqs) {
+    const list = Array.isArray(reqs) ? reqs : (reqs ? [reqs] : []);
+    return list.every(rq => {
+      if (!rq || typeof rq !== "object") return true;
+      if ("all" in rq) return this.classAllows(rq.all);
+      if ("any" in rq) return (Array.isArray(rq.any) ? rq.any : []).some(r => this.classAllows(r));
+      if ("class" in rq) return this.isMet(rq);
+      return true;
+    });
+  }
+
+  // Location ids named anywhere in a requirement tree
+  locationsIn(reqs) {
+    const list = Array.isArray(reqs) ? reqs : (reqs ? [reqs] : []);
+    return list.flatMap(rq => {
+      if (!rq || typeof rq !== "object") return [];
+      for (const key of ["all", "any", "not"]) if (key in rq) return this.locationsIn(rq[key]);
+      return "location" in rq ? [rq.location] : [];
+    });
+  }
+}
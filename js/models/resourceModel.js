@@ -1,100 +1,92 @@
 // models/resourceModel.js
+import { GameEvents } from '../eventBus.js';
+
 export class ResourceModel {
-  constructor(state) { this.s = state; }
+  constructor(state, { bus = null, modifierModel = null } = {}) {
+    this.s = state;
+    this.bus = bus;
+    this.modifiers = modifierModel; // skills, furniture etc. adjust regen and maximum
+  }
+
+  // Base change per second; from defs so content tweaks reach existing saves
+  getBaseRate(id) {
+    return this.s.defs?.resources?.[id]?.changePerTick ?? this.s.resources[id]?.changePerTick ?? 0;
+  }
+
+  // Effective change per second for a resource (base changePerTick + modifiers)
+  getRate(id) {
+    if (!this.s.resources[id]) return 0;
+    const base = this.getBaseRate(id);
+    return this.modifiers ? this.modifiers.apply('regen', base, { resource: id }) : base;
+  }
+
+  // Effective cap; state.maximum already includes purchased increases (maxChange)
+  getMaximum(id) {
+    const r = this.s.resources[id];
+    if (!r) return 0;
+    const base = r.maximum ?? Infinity;
+    return this.modifiers ? this.modifiers.apply('maximum', base, { resource: id }) : base;
+  }
+
+  /**
+   * Apply passive regen/drain to every unlocked resource.
+   * Rates are per second; amounts are clamped to [0, maximum].
+   * Returns true if any amount changed.
+   */
+  tick(deltaMs) {
+    const seconds = deltaMs / 1000;
+    let changed = false;
+    for (const r of Object.values(this.s.resources)) {
+      if (!r.unlocked) continue;
+      const rate = this.getRate(r.id);
+      const before = r.amount ?? 0;
+      const cap = this.getMaximum(r.id);
+      // clamp even without regen: a removed bonus can lower the cap
+      r.amount = Math.max(0, Math.min(before + rate * seconds, cap));
+      if (r.amount !== before) changed = true;
+      this.announceCap(r, before);
+    }
+    return changed;
+  }
+
   grant(id, amount) {
     const r = this.s.resources[id];
     if (!r) return { ok:false, reason:'missing-resource' };
     const before = r.amount ?? 0;
-    const cap = r.maximum ?? Infinity;
+    const cap = this.getMaximum(id);
     r.amount = Math.min(before + amount, cap);
+    this.announceCap(r, before);
+    if (r.amount > before) this.bus?.emit(GameEvents.ResourceGained, { resourceId: id, amount: r.amount - before });
     return { ok:true, applied: r.amount - before };
   }
+
+  // Emit ResourceCapped when an amount has just reached its maximum
+  announceCap(r, before) {
+    const cap = this.getMaximum(r.id);
+    if (before < cap && r.amount >= cap) {
+      this.bus?.emit(GameEvents.ResourceCapped, { resourceId: r.id, maximum: cap });
+    }
+  }
   spend(id, amount) {
     const r = this.s.resources[id];
     if (!r || (r.amount ?? 0) < amount) return { ok:false, reason:'insufficient' };
     r.amount -= amount;
+    if (amount > 0) this.bus?.emit(GameEvents.ResourceSpent, { resourceId: id, amount });
     return { ok:true, applied: -amount };
   }
 
+  // Take up to `amount` away, stopping at zero (damage and the like; not spending)
+  lose(id, amount) {
+    const r = this.s.resources[id];
+    if (!r) return { ok:false, reason:'missing-resource' };
+    const before = r.amount ?? 0;
+    r.amount = Math.max(0, before - amount);
+    return { ok:true, applied: r.amount - before };
+  }
+
   maxChange(id, amount) {
     const r = this.s.resources[id];
     r.maximum += amount;
     return { ok:true, applied: r.amount };
   }
-
-  /**
-   * Returns true if ALL requirements on the resource definition are satisfied.
-   * Supports:
-   *   - { "resource": "<id>", "amt": N }
-   *   - { "skill": "<id>", "level": N }
-   *   - { "location": "<id>" }   // requires discovered == true
-   *   - { "class": "<id>" }
-   */
-  canUnlock(resourceId) {
-    const resourceState = this.s.resources?.[resourceId];
-    const defResource = this.s.defs?.resources?.[resourceId];
-    if (!resourceState || !defResource) return false;
-    if (resourceState.unlocked) return false;
-
-    const reqs = Array.isArray(defResource.requirement) ? defResource.requirement : [];
-
-    for (const rq of reqs) {
-      if (!rq || typeof rq !== "object") continue;
-
-      // Resource requirement
-      if ("resource" in rq) {
-        const res = this.s.resources?.[rq.resource];
-        const amt = rq.amt ?? 0;
-        if (!res || (res.amount ?? 0) < amt) return false;
-        continue;
-      }
-
-      // Skill-level requirement
-      if ("skill" in rq) {
-        const sk = this.s.skills?.[rq.skill];
-        const lvl = rq.level ?? 0;
-        if (!sk || (sk.level ?? 0) < lvl) return false;
-        continue;
-      }
-
-      // Location requirement (must be discovered)
-      if ("location" in rq) {
-        const loc = this.s.locations?.[rq.location];
-        if (!loc || !loc.discovered) return false;
-        continue;
-      }
-
-      // Class requirement
-      if ("class" in rq) {
-        const classId = this.s.character?.classId;
-        if (!classId || classId !== rq.class) return false;
-        continue;
-      }
-
-      // Unknown requirement type: be conservative
-      return false;
-    }
-
-    return true;
-  }
-
-  /**
-   * Iterate over all actions and unlock any that now meet their requirements.
-   * Returns true if at least one action changed from locked -> unlocked.
-   */
-  checkUnlocks() {
-    let changed = false;
-    const defs = this.s.defs?.resources;
-    if (!defs) return false;
-    for (const id of Object.keys(defs)) {
-      const rState = this.s.resources?.[id];
-      if (!rState || rState.unlocked) continue;
-      if (this.canUnlock(id)) {
-        rState.unlocked = true;        
-        console.log(rState, " unlocked");
-        changed = true;
-      }
-    }
-    return changed;
-  }
 }
\ No newline at end of file
@@ -1,6 +1,11 @@
 // models/skillModel.js
+import { GameEvents } from '../eventBus.js';
+
 export class SkillModel {
-  constructor(state) { this.s = state; }
+  constructor(state, { bus = null } = {}) {
+    this.s = state;
+    this.bus = bus;
+  }
   addXP(id, xp) {
     const sk = this.s.skills[id];
     if (!sk) return { ok:false, reason:'missing-skill' };
@@ -23,6 +28,7 @@ export class SkillModel {
       sk.experience -= sk.nextLevelExperience;
       sk.level++;
       sk.nextLevelExperience = Math.ceil(sk.nextLevelExperience * Math.pow(1.1, (this.s.defs.skills[sk.id].tier + 1)));
+      this.bus?.emit(GameEvents.SkillLevelUp, { skillId: sk.id, level: sk.level });
       return { ok:true, applied: "level" };
     } else {
       return { ok:false, reason:'not-enough-xp'};
@@ -30,7 +36,7 @@ export class SkillModel {
   }
 
   checkMaxLevel(sk) {
-    if (sk.level >= this.s.defs.skills[sk.id].maxLevel) return true;
-    return false;
+    const maxLevel = this.s.defs.skills[sk.id].maxLevel;
+    return maxLevel != null && sk.level >= maxLevel;
   }
 }
\ No newline at end of file
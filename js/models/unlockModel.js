@@ -0,0 +1,37 @@
+// js/models/unlockModel.js
+
+// every content type in defs whose state entries carry an `unlocked` flag
+export const UNLOCKABLE_TYPES = [
+  "resources", "skills", "actions",
+  "classes", "equipment", "furniture", "homes", "locations",
+];
+
+export class UnlockModel {
+  constructor(state, { requirements }) {
+    this.s = state;
+    this.requirements = requirements;
+  }
+
+  /**
+   * Unlock anything whose definition's requirements are now met.
+   * Returns the newly unlocked entries as [{ type, id }].
+   */
+  checkUnlocks() {
+    const unlocked = [];
+    for (const type of UNLOCKABLE_TYPES) {
+      const defs = this.s.defs?.[type];
+      const states = this.s[type];
+      if (!defs || !states) continue;
+
+      for (const id of Object.keys(defs)) {
+        const st = states[id];
+        if (!st || st.unlocked) continue;
+        if (this.requirements.areMet(defs[id].requirement)) {
+          st.unlocked = true;
+          unlocked.push({ type, id });
+        }
+      }
+    }
+    return unlocked;
+  }
+}
@@ -0,0 +1,26 @@
+// js/rng.js
+
+// FNV-1a: turn any seed (number or string) into a 32-bit integer
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic drop-in for Math.random (mulberry32).
+ * Same seed -> same sequence, so headless runs are reproducible.
+ */
+export function createSeededRng(seed) {
+  let t = hashSeed(seed);
+  return function rng() {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,94 @@
+// js/save/saveBackups.js
+//
+// Integrity and recovery for slot saves:
+//   - every stored save carries a checksum of its state (sealSave / readSave)
+//   - each save also lands in a ring of BACKUP_COUNT backups per slot
+//       everlyn-save:<id>:backup:<n>
+//   - a primary that fails to parse or verify is moved aside, not discarded
+//       everlyn-save:<id>:quarantine:<timestamp>
+
+import { slotKey } from './saveSlots.js';
+
+export const BACKUP_COUNT = 5;
+
+// FNV-1a, 32 bit, as 8 hex digits. Catches truncation and bit rot, not tampering.
+export function checksum(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+export function sealSave(saveObj) {
+  return JSON.stringify({ ...saveObj, checksum: checksum(JSON.stringify(saveObj.state)) });
+}
+
+// Parse and verify stored text. Saves from before checksums pass on shape alone.
+// Returns { ok: true, save } or { ok: false, reason }.
+export function readSave(raw) {
+  let save;
+  try {
+    save = JSON.parse(raw);
+  } catch {
+    return { ok: false, reason: 'unreadable' };
+  }
+  if (!save || typeof save !== 'object') return { ok: false, reason: 'unreadable' };
+  const state = save.state ?? save; // bare-state saves predate the envelope
+  if (!state || typeof state !== 'object' || !state.character) return { ok: false, reason: 'incomplete' };
+  if (save.checksum !== undefined && save.checksum !== checksum(JSON.stringify(save.state))) {
+    return { ok: false, reason: 'checksum' };
+  }
+  return { ok: true, save };
+}
+
+export class SaveBackups {
+  constructor(storage, { count = BACKUP_COUNT } = {}) {
+    this.storage = storage;
+    this.count = count;
+  }
+
+  backupKey(slotId, n) {
+    return `${slotKey(slotId)}:backup:${n}`;
+  }
+
+  // Every backup for the slot as { key, save } (save null when damaged), newest first
+  async list(slotId) {
+    const out = [];
+    for (let n = 0; n < this.count; n++) {
+      const key = this.backupKey(slotId, n);
+      const raw = await this.storage.get(key);
+      if (raw === null || raw === undefined) continue;
+      const read = readSave(raw);
+      out.push({ key, save: read.ok ? read.save : null });
+    }
+    return out.sort((a, b) => (b.save?.timestamp ?? -1) - (a.save?.timestamp ?? -1));
+  }
+
+  async newestValid(slotId) {
+    return (await this.list(slotId)).find(b => b.save) ?? null;
+  }
+
+  // Store `text` over an empty, damaged or the oldest backup
+  async write(slotId, text) {
+    let target = null;
+    let oldest = Infinity;
+    for (let n = 0; n < this.count; n++) {
+      const key = this.backupKey(slotId, n);
+      const raw = await this.storage.get(key);
+      const read = raw === null || raw === undefined ? null : readSave(raw);
+      if (!read?.ok) { target = key; break; }
+      const at = read.save.timestamp ?? 0;
+      if (at < oldest) { oldest = at; target = key; }
+    }
+    await this.storage.set(target, text);
+  }
+
+  // Keep broken data under its own key; returns that key
+  async quarantine(slotId, raw, at) {
+    const key = `${slotKey(slotId)}:quarantine:${at}`;
+    await this.storage.set(key, raw);
+    return key;
+  }
+}
@@ -0,0 +1,77 @@
+// js/save/saveCodec.js
+//
+// Portable save strings: "EVERLYN1:" + base64(deflate-raw(JSON)). The same
+// text is what goes into a downloaded .everlyn file.
+
+import { migrateSave } from './saveMigrations.js';
+import { isValidName } from '../models/characterModel.js';
+
+const PREFIX = 'EVERLYN1:';
+
+export class SaveImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveImportError';
+  }
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  const bin = atob(text);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+export async function encodeSave(saveObj) {
+  const json = new TextEncoder().encode(JSON.stringify(saveObj));
+  return PREFIX + toBase64(await pipe(json, new CompressionStream('deflate-raw')));
+}
+
+// Parse, migrate and sanity-check an exported string. Throws SaveImportError
+// (or SaveVersionError for saves from a newer game).
+export async function decodeSave(text, defs) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed.startsWith(PREFIX)) throw new SaveImportError("That doesn't look like an Everlyn save.");
+
+  let parsed;
+  try {
+    const bytes = await pipe(fromBase64(trimmed.slice(PREFIX.length)), new DecompressionStream('deflate-raw'));
+    parsed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new SaveImportError('The save is damaged or incomplete (was it copied in full?).');
+  }
+
+  const save = migrateSave(parsed, defs);
+  const c = save?.state?.character;
+  if (!c || typeof c.name !== 'string' || !c.name) throw new SaveImportError('The save has no character.');
+  if (!isValidName(c.name)) throw new SaveImportError("The save's character name isn't valid (2–20 letters, numbers or spaces).");
+  if (typeof save.state.resources !== 'object' || typeof save.state.actions !== 'object') {
+    throw new SaveImportError('The save is missing its resources or actions.');
+  }
+  return save;
+}
+
+// What the import dialog shows before anything is replaced
+export function previewSave(save, defs) {
+  const c = save.state.character;
+  return {
+    name: c.name,
+    className: defs.classes[c.classId]?.name ?? c.classId ?? 'None',
+    level: c.level ?? 0,
+    playTimeMs: save.state.playTimeMs ?? 0,
+    savedAt: Number.isFinite(save.timestamp) ? save.timestamp : null,
+  };
+}
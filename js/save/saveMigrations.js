@@ -0,0 +1,134 @@
+// js/save/saveMigrations.js
+//
+// Save files are { version, timestamp, packs, state }. On load, every migration whose
+// `version` is above the save's runs in order, then pruneSave() drops whatever
+// the current content no longer defines. Each step reports through `log`.
+//
+// To change the save format, append a migration with the next version number;
+// SAVE_VERSION follows the list.
+
+import { UNLOCKABLE_TYPES } from '../models/unlockModel.js';
+
+export class SaveVersionError extends Error {
+  constructor(saveVersion, gameVersion) {
+    super(`This save was made by a newer version of Everlyn (save format ${saveVersion}, this game reads up to ${gameVersion}). Update the game before loading it; the save has not been touched.`);
+    this.name = 'SaveVersionError';
+    this.saveVersion = saveVersion;
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Wrap bare state in { version, timestamp, state }',
+    migrate(save) {
+      // the earliest saves were the state object itself
+      return save.state ? save : { version: 1, timestamp: null, state: save };
+    },
+  },
+  {
+    version: 2,
+    description: 'Lowercase class ids and start the class history',
+    migrate(save, defs) {
+      const c = save.state.character;
+      if (!c) return save;
+      if (c.classId && !defs.classes[c.classId]) {
+        const id = Object.keys(defs.classes).find(k => k === String(c.classId).toLowerCase());
+        if (id) c.classId = id;
+      }
+      if (c.classId && !(c.classHistory || []).length) c.classHistory = [{ classId: c.classId, at: null }];
+      return save;
+    },
+  },
+  {
+    version: 3,
+    description: 'Locations the save had unlocked count as discovered',
+    migrate(save) {
+      for (const loc of Object.values(save.state.locations || {})) {
+        if (loc && loc.discovered === undefined) loc.discovered = !!loc.unlocked;
+      }
+      return save;
+    },
+  },
+  {
+    version: 4,
+    description: 'Start lifetime statistics from action completion counts',
+    migrate(save) {
+      const st = save.state;
+      if (!st.stats) {
+        const done = Object.values(st.actions || {}).filter(a => a?.completionCount > 0);
+        st.stats = { completions: Object.fromEntries(done.map(a => [a.id, a.completionCount])) };
+      }
+      return save;
+    },
+  },
+];
+
+export const SAVE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Copies of content data that older saves persisted; fresh state rebuilds them from defs
+const STATIC_FIELDS = {
+  resources: ['changePerTick'],
+  actions: ['duration', 'cost', 'reward', 'maxCompletions'],
+};
+
+// Bring `save` (parsed JSON) up to SAVE_VERSION. Throws SaveVersionError if it's from the future.
+export function migrateSave(save, defs, log = () => {}) {
+  const from = Number(save?.version ?? 0) || 0;
+  if (from > SAVE_VERSION) throw new SaveVersionError(from, SAVE_VERSION);
+
+  let out = save;
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    out = m.migrate(out, defs);
+    out.version = m.version;
+    log(`Save migrated to v${m.version}: ${m.description}`);
+  }
+  return out;
+}
+
+// Remove ids and fields the current content doesn't define (mutates save.state)
+export function pruneSave(save, defs, log = () => {}) {
+  const st = save.state;
+  for (const type of [...UNLOCKABLE_TYPES, 'achievements']) {
+    const entries = st[type];
+    if (!entries || typeof entries !== 'object') continue;
+    for (const id of Object.keys(entries)) {
+      if (!defs[type]?.[id]) {
+        delete entries[id];
+        log(`Pruned ${type}:${id} (no longer in the game)`);
+        continue;
+      }
+      for (const field of STATIC_FIELDS[type] || []) {
+        if (field in entries[id]) delete entries[id][field];
+      }
+    }
+  }
+
+  // references to content that's gone
+  for (const key of ['currentAction', 'previousAction', 'defaultRestAction', 'recoveryAction']) {
+    if (st[key] && !defs.actions[st[key]]) {
+      log(`Cleared ${key} ${st[key]} (no longer in the game)`);
+      delete st[key];
+    }
+  }
+  if (st.encounter && !(defs.events?.[st.encounter.eventId] && defs.actions[st.encounter.actionId])) {
+    log(`Cleared encounter ${st.encounter.eventId} (no longer in the game)`);
+    delete st.encounter;
+  }
+  if (st.currentHome && !defs.homes[st.currentHome]) {
+    log(`Cleared currentHome ${st.currentHome} (no longer in the game)`);
+    delete st.currentHome;
+  }
+  for (const home of Object.values(st.homes || {})) {
+    if (Array.isArray(home.currentFurniture)) {
+      home.currentFurniture = home.currentFurniture.filter(fId => defs.furniture[fId]);
+    }
+  }
+  const c = st.character;
+  if (c?.classId && !defs.classes[c.classId]) {
+    log(`Cleared class ${c.classId} (no longer in the game)`);
+    c.classId = null;
+  }
+  return save;
+}
@@ -0,0 +1,138 @@
+// js/save/saveSlots.js
+//
+// Save slots on top of a storage adapter:
+//   everlyn-slots        roster: [{ id, name, classId, level, playTimeMs, lastPlayed }]
+//   everlyn-active-slot  id of the slot the game opens (and autosaves) into
+//   everlyn-save:<id>    one save file per slot
+//   everlyn-save:<id>:*  that slot's backups and quarantined saves (saveBackups.js)
+//
+// A slot gets a roster entry the first time it is saved, so a freshly created
+// slot shows up once its character has been made.
+
+import { systemClock } from '../clock.js';
+
+const ROSTER_KEY = 'everlyn-slots';
+const ACTIVE_KEY = 'everlyn-active-slot';
+const LEGACY_KEY = 'everlyn-save'; // the single save from before slots
+
+export const slotKey = (id) => `${LEGACY_KEY}:${id}`;
+
+// Every key the save system owns (what moves when the storage backend changes)
+export const isSaveKey = (key) =>
+  key === ROSTER_KEY || key === ACTIVE_KEY || key === LEGACY_KEY || key.startsWith(`${LEGACY_KEY}:`);
+
+// Two storages both hold `key`: the value to keep. Rosters are merged (the entry
+// played last wins), save files keep the one saved last, anything else stays `existing`.
+export function newerSaveValue(key, incoming, existing) {
+  const parse = (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  };
+  if (key === ROSTER_KEY) {
+    const merged = new Map();
+    for (const entry of [parse(existing), parse(incoming)].flatMap(r => (Array.isArray(r) ? r : []))) {
+      const prev = merged.get(entry?.id);
+      if (!prev || (entry.lastPlayed ?? 0) > (prev.lastPlayed ?? 0)) merged.set(entry?.id, entry);
+    }
+    return JSON.stringify([...merged.values()]);
+  }
+  const savedAt = (raw) => Number(parse(raw)?.timestamp) || 0;
+  return savedAt(incoming) > savedAt(existing) ? incoming : existing;
+}
+
+export class SaveSlots {
+  constructor(storage, { clock = systemClock } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+  }
+
+  async list() {
+    const raw = await this.storage.get(ROSTER_KEY);
+    try {
+      const roster = raw ? JSON.parse(raw) : [];
+      return Array.isArray(roster) ? roster : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async writeRoster(roster) {
+    await this.storage.set(ROSTER_KEY, JSON.stringify(roster));
+  }
+
+  async getActive() {
+    return (await this.storage.get(ACTIVE_KEY)) || null;
+  }
+
+  async setActive(id) {
+    if (id) await this.storage.set(ACTIVE_KEY, id);
+    else await this.storage.remove(ACTIVE_KEY);
+  }
+
+  // New, empty slot id (not on the roster until saved)
+  async create() {
+    const taken = new Set((await this.list()).map(s => s.id));
+    let n = taken.size + 1;
+    while (taken.has(`slot-${n}`) || (await this.storage.get(slotKey(`slot-${n}`)))) n++;
+    return `slot-${n}`;
+  }
+
+  // Update the roster entry for `id` from the live state
+  async record(id, state, lastPlayed = this.clock.now()) {
+    const c = state.character || {};
+    const entry = {
+      id,
+      name: c.name || 'Unnamed',
+      classId: c.classId ?? null,
+      level: c.level ?? 0,
+      playTimeMs: state.playTimeMs ?? 0,
+      lastPlayed,
+    };
+    const roster = await this.list();
+    const i = roster.findIndex(s => s.id === id);
+    if (i >= 0) roster[i] = entry;
+    else roster.push(entry);
+    await this.writeRoster(roster);
+    return entry;
+  }
+
+  async duplicate(id) {
+    const raw = await this.storage.get(slotKey(id));
+    const source = (await this.list()).find(s => s.id === id);
+    if (!raw || !source) return { ok: false, reason: 'empty-slot' };
+    const copy = await this.create();
+    await this.storage.set(slotKey(copy), raw);
+    await this.writeRoster([...(await this.list()), { ...source, id: copy }]);
+    return { ok: true, id: copy };
+  }
+
+  async remove(id) {
+    await this.storage.remove(slotKey(id));
+    for (const key of await this.storage.keys()) {
+      if (key.startsWith(`${slotKey(id)}:`)) await this.storage.remove(key);
+    }
+    await this.writeRoster((await this.list()).filter(s => s.id !== id));
+    if ((await this.getActive()) === id) await this.setActive(null);
+    return { ok: true };
+  }
+
+  // Move a pre-slots save into slot-1 (once); returns the new slot id or null
+  async adoptLegacySave() {
+    const raw = await this.storage.get(LEGACY_KEY);
+    if (!raw) return null;
+    const id = await this.create();
+    await this.storage.set(slotKey(id), raw);
+    await this.storage.remove(LEGACY_KEY);
+    try {
+      const parsed = JSON.parse(raw);
+      await this.record(id, parsed.state || parsed, parsed.timestamp ?? this.clock.now());
+    } catch {
+      // unreadable; SaveController.load reports it when the slot is opened
+    }
+    if (!(await this.getActive())) await this.setActive(id);
+    return id;
+  }
+}
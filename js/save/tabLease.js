@@ -0,0 +1,133 @@
+// js/save/tabLease.js
+//
+// Only one browser tab runs the game and saves. The owner holds a lease in
+// storage and renews it while it plays:
+//   everlyn-lease   { tabId, expires }
+//
+// Another tab can ask to take over on the "everlyn" BroadcastChannel; the owner
+// runs its onLost handlers (which save), releases the lease and answers. If no
+// answer comes (no BroadcastChannel, or the owner is frozen) the requester takes
+// the lease once `ttlMs` has passed, and the old owner finds out at its next
+// renew() and stops without saving.
+
+import { systemClock } from '../clock.js';
+
+const LEASE_KEY = 'everlyn-lease';
+const CHANNEL = 'everlyn';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class TabLease {
+  constructor(storage, {
+    clock = systemClock,
+    ttlMs = 15000,
+    settleMs = 50, // pause before reading back a claim, so a racing tab's write shows up
+    tabId = `${clock.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL) : null,
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+    this.ttlMs = ttlMs;
+    this.settleMs = settleMs;
+    this.tabId = tabId;
+    this.channel = channel;
+    this.held = false;
+    this.heartbeat = null;
+    this.lostHandlers = [];
+
+    this.channel?.addEventListener('message', (e) => {
+      if (e.data?.type === 'takeover' && e.data.tabId !== this.tabId && this.held) this.handOver();
+    });
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await this.storage.get(LEASE_KEY)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async write() {
+    await this.storage.set(LEASE_KEY, JSON.stringify({ tabId: this.tabId, expires: this.clock.now() + this.ttlMs }));
+  }
+
+  // Called (and awaited, in order) when this tab stops being the owner.
+  // `requested` is true when another tab asked and the lease is still ours to save with.
+  onLost(fn) {
+    this.lostHandlers.push(fn);
+  }
+
+  // Claim the lease unless a live tab holds it. Returns { ok } or { ok: false, reason: 'held-elsewhere' }.
+  async acquire({ force = false } = {}) {
+    const lease = await this.read();
+    if (!force && lease && lease.tabId !== this.tabId && lease.expires > this.clock.now()) {
+      return { ok: false, reason: 'held-elsewhere' };
+    }
+    await this.write();
+    if (this.settleMs) await wait(this.settleMs);
+    if ((await this.read())?.tabId !== this.tabId) return { ok: false, reason: 'held-elsewhere' };
+
+    this.held = true;
+    clearInterval(this.heartbeat);
+    this.heartbeat = setInterval(() => this.renew(), this.ttlMs / 3);
+    return { ok: true };
+  }
+
+  // Check we still own the lease and extend it; false (and onLost) if another tab has it
+  async renew() {
+    if (!this.held) return false;
+    if ((await this.read())?.tabId !== this.tabId) {
+      await this.lose(false);
+      return false;
+    }
+    await this.write();
+    return true;
+  }
+
+  async release() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    if (!this.held) return;
+    this.held = false;
+    if ((await this.read())?.tabId === this.tabId) await this.storage.remove(LEASE_KEY);
+  }
+
+  // Ask the owner to save and let go, then claim the lease
+  async takeOver() {
+    if (this.channel) {
+      const released = new Promise(resolve => {
+        const onMessage = (e) => {
+          if (e.data?.type !== 'released') return;
+          this.channel.removeEventListener('message', onMessage);
+          resolve();
+        };
+        this.channel.addEventListener('message', onMessage);
+      });
+      this.channel.postMessage({ type: 'takeover', tabId: this.tabId });
+      await Promise.race([released, wait(this.ttlMs)]);
+    }
+    return this.acquire({ force: true });
+  }
+
+  async handOver() {
+    await this.lose(true);
+    this.channel?.postMessage({ type: 'released', tabId: this.tabId });
+  }
+
+  async lose(requested) {
+    for (const fn of this.lostHandlers) {
+      try {
+        await fn({ requested });
+      } catch (err) {
+        console.error('[Everlyn] Tab handover step failed:', err);
+      }
+    }
+    if (requested) await this.release();
+    else {
+      this.held = false;
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
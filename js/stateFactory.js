@@ -1,5 +1,18 @@
 // js/stateFactory.js
 
+// Running totals kept by controllers/statsController.js, keyed by content id
+export function emptyStats() {
+  return {
+    completions: {}, // actionId -> times completed
+    earned: {},      // resourceId -> amount granted (regen not included)
+    spent: {},       // resourceId -> amount paid
+    skillXp: {},     // skillId -> XP gained
+    workMs: 0,       // time with a non-rest action running
+    restMs: 0,       // time resting or recovering
+    offlineMs: 0,    // time simulated as offline progress
+  };
+}
+
 export function createInitialState(defs) {
   const resources = Object.fromEntries(
     Object.keys(defs.resources).map(id => [
@@ -7,7 +20,7 @@ export function createInitialState(defs) {
       {
         id,
         amount: defs.resources[id].amount,
-        maximum: defs.resources[id].maximum ?? Infinity,
+        maximum: defs.resources[id].maximum,
         changePerTick: defs.resources[id].changePerTick,
         unlocked: !!defs.resources[id].unlocked
       },
@@ -67,7 +80,8 @@ export function createInitialState(defs) {
         id,
         owned: 0, // count or boolean
         equipped: false,
-        durability: defs.equipment[id].durability ?? null,
+        durability: defs.equipment[id].durability,
+        unlocked: !!defs.equipment[id].unlocked,
       },
     ])
   );
@@ -78,7 +92,8 @@ export function createInitialState(defs) {
       {
         id,
         owned: 0,
-        placed: false,
+        placed: 0, // how many of `owned` sit in the current home
+        unlocked: !!defs.furniture[id].unlocked,
       },
     ])
   );
@@ -91,6 +106,7 @@ export function createInitialState(defs) {
         owned: !!defs.homes[id].defaultOwned,
         upgraded: false,
         currentFurniture: [],
+        unlocked: !!defs.homes[id].unlocked,
       },
     ])
   );
@@ -100,17 +116,31 @@ export function createInitialState(defs) {
       id,
       {
         id,
-        unlocked: !!defs.locations[id].unlocked,
+        // requirements met: can be discovered (known places start both)
+        unlocked: !!(defs.locations[id].unlocked || defs.locations[id].discovered),
+        discovered: !!defs.locations[id].discovered, // found; its actions and effects apply
         visited: false,
       },
     ])
   );
 
+  const achievements = Object.fromEntries(
+    Object.keys(defs.achievements).map(id => [
+      id,
+      {
+        id,
+        earned: false,
+        earnedAt: null,
+      },
+    ])
+  );
+
   return {
     defs, // frozen static content reference
     character: {
       name: '',        // player‑entered name
-      classId: null,   // id of selected class (e.g. 'Waif' or 'Vagabond')
+      classId: null,   // id of current class (e.g. 'waif' or 'vagabond')
+      classHistory: [], // [{ classId, at }] in the order they were taken
       level: 0,
       xp: 0,
       xpToNext: 50    // arbitrary default; can be tuned later
@@ -123,9 +153,16 @@ export function createInitialState(defs) {
     furniture,
     homes,
     locations,
+    achievements,
+    currentHome: Object.keys(homes).find(id => homes[id].owned) ?? null,
     currentAction: null,
     previousAction: null,
     defaultRestAction: actions.rest.id,
+    recoveryAction: Object.keys(defs.actions).find(id => defs.actions[id].type === 'recovery') ?? null,
+    injury: null, // { actionId, at, fee } after collapsing; see models/injuryModel.js
+    encounter: null, // { eventId, actionId, at, active } scheduled or under way; see models/encounterModel.js
     actionLog: [],
+    playTimeMs: 0, // time spent with the game open (offline progress not included)
+    stats: emptyStats(), // lifetime totals
   };
 }
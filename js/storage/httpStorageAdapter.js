@@ -0,0 +1,46 @@
+// js/storage/httpStorageAdapter.js
+// Same interface as LocalStorageAdapter, over a small REST API
+// (tools/saveServer.js is a local stand-in):
+//   GET    /saves        -> JSON array of keys
+//   GET    /saves/:key   -> the value as text, or 404
+//   PUT    /saves/:key   -> store the request body
+//   DELETE /saves/:key
+export class HttpStorageAdapter {
+  constructor(baseUrl, { fetch = globalThis.fetch.bind(globalThis) } = {}) {
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this.fetch = fetch;
+  }
+
+  url(key) {
+    return key === undefined ? `${this.baseUrl}/saves` : `${this.baseUrl}/saves/${encodeURIComponent(key)}`;
+  }
+
+  async send(method, key, body) {
+    const res = await this.fetch(this.url(key), {
+      method,
+      body,
+      headers: body === undefined ? undefined : { 'Content-Type': 'text/plain' },
+    });
+    if (!res.ok && !(method === 'GET' && res.status === 404)) {
+      throw new Error(`Save server ${method} ${this.url(key)} failed: ${res.status} ${res.statusText}`);
+    }
+    return res;
+  }
+
+  async get(key) {
+    const res = await this.send('GET', key);
+    return res.status === 404 ? null : res.text();
+  }
+
+  async set(key, value) {
+    await this.send('PUT', key, String(value));
+  }
+
+  async remove(key) {
+    await this.send('DELETE', key);
+  }
+
+  async keys() {
+    return (await this.send('GET')).json();
+  }
+}
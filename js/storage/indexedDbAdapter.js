@@ -0,0 +1,53 @@
+// js/storage/indexedDbAdapter.js
+// Same interface as LocalStorageAdapter, in one IndexedDB object store.
+// Off the main thread and with a far larger quota than localStorage.
+export class IndexedDbAdapter {
+  constructor({ dbName = 'everlyn', storeName = 'saves', indexedDB = globalThis.indexedDB } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.indexedDB = indexedDB;
+    this.db = null; // opened on first use
+  }
+
+  static isAvailable() {
+    return typeof globalThis.indexedDB !== 'undefined';
+  }
+
+  open() {
+    this.db ??= new Promise((resolve, reject) => {
+      const req = this.indexedDB.open(this.dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(this.storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this.db;
+  }
+
+  // Run one request against the store and resolve with its result
+  async request(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = makeRequest(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async get(key) {
+    return (await this.request('readonly', store => store.get(key))) ?? null;
+  }
+
+  async set(key, value) {
+    await this.request('readwrite', store => store.put(String(value), key));
+  }
+
+  async remove(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+
+  async keys() {
+    return (await this.request('readonly', store => store.getAllKeys())).map(String);
+  }
+}
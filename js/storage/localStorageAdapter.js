@@ -0,0 +1,30 @@
+// js/storage/localStorageAdapter.js
+//
+// Storage adapter interface used by SaveController (all methods async):
+//   get(key)        -> string | null
+//   set(key, value) -> void      (value is a string)
+//   remove(key)     -> void
+//   keys()          -> string[]
+export class LocalStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+  }
+
+  async get(key) {
+    return this.storage.getItem(key);
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  async keys() {
+    const out = [];
+    for (let i = 0; i < this.storage.length; i++) out.push(this.storage.key(i));
+    return out;
+  }
+}
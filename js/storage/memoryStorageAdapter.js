@@ -0,0 +1,23 @@
+// js/storage/memoryStorageAdapter.js
+// Same interface as LocalStorageAdapter, kept in a Map; for headless runs.
+export class MemoryStorageAdapter {
+  constructor(initial = {}) {
+    this.items = new Map(Object.entries(initial));
+  }
+
+  async get(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  async remove(key) {
+    this.items.delete(key);
+  }
+
+  async keys() {
+    return [...this.items.keys()];
+  }
+}
@@ -0,0 +1,109 @@
+// js/storage/storageBackends.js
+//
+// Which storage adapter holds the saves. The choice itself always lives in
+// localStorage (it has to be readable before any other backend is opened):
+//   everlyn-storage   { backend: 'local' | 'indexeddb' | 'http', url? }
+//
+// Saves found in localStorage move to the selected backend on startup, so
+// players coming from the localStorage-only game keep their characters.
+
+import { LocalStorageAdapter } from './localStorageAdapter.js';
+import { IndexedDbAdapter } from './indexedDbAdapter.js';
+import { HttpStorageAdapter } from './httpStorageAdapter.js';
+import { isSaveKey, newerSaveValue } from '../save/saveSlots.js';
+
+const CONFIG_KEY = 'everlyn-storage';
+
+export const STORAGE_BACKENDS = Object.freeze({
+  local: {
+    name: 'Browser storage (localStorage)',
+    isAvailable: () => typeof globalThis.localStorage !== 'undefined',
+    create: () => new LocalStorageAdapter(),
+  },
+  indexeddb: {
+    name: 'Browser database (IndexedDB)',
+    isAvailable: () => IndexedDbAdapter.isAvailable(),
+    create: () => new IndexedDbAdapter(),
+  },
+  http: {
+    name: 'Save server (HTTP)',
+    needsUrl: true,
+    isAvailable: () => typeof globalThis.fetch === 'function',
+    create: ({ url }) => new HttpStorageAdapter(url),
+  },
+});
+
+export function defaultStorageConfig() {
+  return { backend: STORAGE_BACKENDS.indexeddb.isAvailable() ? 'indexeddb' : 'local' };
+}
+
+export function readStorageConfig(local = globalThis.localStorage) {
+  try {
+    const config = JSON.parse(local.getItem(CONFIG_KEY));
+    if (STORAGE_BACKENDS[config?.backend]) return config;
+  } catch {
+    // fall through to the default
+  }
+  return defaultStorageConfig();
+}
+
+export function writeStorageConfig(config, local = globalThis.localStorage) {
+  local.setItem(CONFIG_KEY, JSON.stringify(config));
+}
+
+export function createStorage(config) {
+  const backend = STORAGE_BACKENDS[config.backend];
+  if (!backend) throw new Error(`Unknown storage backend "${config.backend}".`);
+  if (backend.needsUrl && !config.url) throw new Error(`The ${backend.name} backend needs a URL.`);
+  return backend.create(config);
+}
+
+// Move every save key from one adapter to another. Without `overwrite`, a key the
+// target already has keeps the newer save (rosters are merged; see newerSaveValue).
+// Everything is copied before anything is removed: if a copy fails, the target
+// gets its old values back, the source is untouched and the error is rethrown.
+// Returns the number of values taken from the source.
+export async function moveSaves(from, to, { overwrite = false } = {}) {
+  const written = []; // [key, the target's value before]
+  let moved = 0;
+  try {
+    for (const key of (await from.keys()).filter(isSaveKey)) {
+      const value = await from.get(key);
+      if (value === null) continue;
+      const existing = await to.get(key);
+      const next = overwrite || existing === null ? value : newerSaveValue(key, value, existing);
+      written.push([key, existing]);
+      if (next !== existing) await to.set(key, next);
+      if (next === value) moved++;
+    }
+  } catch (err) {
+    for (const [key, previous] of written.reverse()) {
+      try {
+        if (previous === null) await to.remove(key);
+        else await to.set(key, previous);
+      } catch {
+        // the target is failing; the source still has everything
+      }
+    }
+    throw err;
+  }
+  for (const [key] of written) await from.remove(key);
+  return moved;
+}
+
+// Open the configured backend, moving any localStorage saves into it.
+// If it can't be reached, falls back to localStorage; `error` says why.
+export async function openStorage(config = readStorageConfig()) {
+  const local = new LocalStorageAdapter();
+  if (config.backend === 'local') return { storage: local, config, error: null };
+  try {
+    const storage = createStorage(config);
+    await storage.keys(); // reachable?
+    const moved = await moveSaves(local, storage);
+    if (moved) console.info(`[Everlyn] Moved ${moved} save entries into ${STORAGE_BACKENDS[config.backend].name}.`);
+    return { storage, config, error: null };
+  } catch (err) {
+    console.error('[Everlyn] Storage backend unavailable, using localStorage:', err);
+    return { storage: local, config: { backend: 'local' }, error: err };
+  }
+}
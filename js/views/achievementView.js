@@ -0,0 +1,58 @@
+// js/views/achievementView.js
+import { describeEffect } from "../models/modifierModel.js";
+
+// The Achievements screen: earned first, then the ones still open; hidden ones stay a mystery until earned
+export default class AchievementView {
+  constructor() {
+    this.container = document.getElementById("achievements-container");
+
+    if (!this.container) {
+      console.error("[Everlyn] Missing #achievements-container in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #achievements-container in DOM.</pre>`
+      );
+      return;
+    }
+
+    // Re-render only when an achievement is earned
+    this.lastRenderKey = null;
+  }
+
+  update(state, defs) {
+    if (!state || !defs || !this.container) return;
+
+    const all = Object.values(state.achievements || {}).filter(a => defs.achievements[a.id]);
+    const renderKey = JSON.stringify(all.map(a => a.earned));
+    if (renderKey === this.lastRenderKey) return;
+    this.lastRenderKey = renderKey;
+
+    const effectsText = (def) => (def.effects || []).map(fx => describeEffect(fx, defs)).join(", ");
+    const card = (a) => {
+      const def = defs.achievements[a.id];
+      if (!a.earned && def.hidden) {
+        return `
+          <div class="achievement achievement-hidden">
+            <strong>???</strong>
+            <p>A hidden achievement.</p>
+          </div>`;
+      }
+      const effects = effectsText(def);
+      return `
+        <div class="achievement${a.earned ? " achievement-earned" : ""}">
+          <strong>${def.name}</strong>
+          ${a.earned && Number.isFinite(a.earnedAt) ? `<span class="achievement-date">${new Date(a.earnedAt).toLocaleDateString()}</span>` : ""}
+          <p>${def.description}</p>
+          ${effects ? `<p class="achievement-effects">${a.earned ? "" : "Reward: "}${effects}</p>` : ""}
+        </div>`;
+    };
+
+    const earned = all.filter(a => a.earned);
+    const open = all.filter(a => !a.earned);
+    this.container.innerHTML = `
+      <p>${earned.length} of ${all.length} earned.</p>
+      ${earned.length ? `<h3>Earned</h3>${earned.map(card).join("")}` : ""}
+      ${open.length ? `<h3>Not Yet Earned</h3>${open.map(card).join("")}` : ""}
+    `;
+  }
+}
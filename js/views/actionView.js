@@ -60,7 +60,10 @@ export default class ActionView {
     if (!state || !defs) return;
 
     const actions = state.actions ? Object.values(state.actions) : [];
-    const unlocked = actions.filter((a) => a.unlocked === true);
+    const model = this.actionController?.model;
+    // actions tied to a location are listed on the Locations screen instead
+    const atLocation = (a) => !!model?.requirements?.locationsIn(defs.actions[a.id].requirement).length;
+    const unlocked = actions.filter((a) => (model ? model.isAvailable(a) : a.unlocked === true) && !atLocation(a));
 
     const unlockedRests = unlocked.filter((a) => defs.actions[a.id].type === "rest");    
     const unlockedActions = unlocked.filter((a) => defs.actions[a.id].type === "action");
@@ -224,38 +227,53 @@ export default class ActionView {
 
   createToolTip(a, defs) {
     const tooltip = [];
+    const model = this.actionController?.model;
+    const resName = (id) => defs.resources[id]?.name ?? id;
+    // modified value, with the unmodified one in brackets when effects changed it
+    const withBase = (value, base) => (value === base ? `${value}` : `${value} (base ${base})`);
+
     // Description
     const desc = defs.actions[a.id].description;
     tooltip.push(`${desc}`);
 
+    // Duration
+    if (model) {
+      const secs = (ms) => Math.round(ms / 100) / 10;
+      tooltip.push(`Duration: ${withBase(secs(model.getDuration(a)), secs(a.duration))}s`);
+    }
+
     // Costs
-    const cost = a.cost;
+    const cost = model ? model.getCosts(a) : (a.cost || []).map(c => ({ ...c, base: c.amt }));
     if (cost && cost.length > 0) {
       tooltip.push('Costs:');
       cost.forEach(c => {
-        tooltip.push(`- ${c.amt} ${c.resource}`);
+        tooltip.push(`- ${withBase(c.amt, c.base)} ${resName(c.resource)}`);
       });
     }
 
     // Rewards
-    const rewards = a.reward;
+    const rewards = model ? model.getRewards(a) : a.reward;
     if (rewards && rewards.length > 0) {
       tooltip.push('Rewards:');
       rewards.forEach(r => {
         if (r?.resource) {
           if (r.min !== undefined && r.max !== undefined) {
-            if (r.min === r.max) {
-              tooltip.push(`+ ${r.min} ${defs.resources[r.resource].name ?? r.resource}`);
-            } else {
-              tooltip.push(`+ ${r.min} – ${r.max} ${r.resource}`);
-            }
+            const base = r.base ?? { min: r.min, max: r.max };
+            const range = (lo, hi) => (lo === hi ? `${lo}` : `${lo} – ${hi}`);
+            tooltip.push(`+ ${withBase(range(r.min, r.max), range(base.min, base.max))} ${resName(r.resource)}`);
           } else if (r.amount !== undefined) {
-            tooltip.push(`+ ${r.amount} ${r.resource}`);
+            tooltip.push(`+ ${r.amount} ${resName(r.resource)}`);
           } else if (r.maxChange !== undefined) {
-            tooltip.push(`Increase max capacity of ${defs.resources[r.resource].name ?? r.resource} by ${r.maxChange}`);
+            tooltip.push(`Increase max capacity of ${resName(r.resource)} by ${r.maxChange}`);
           }
         } else if (r.skill) {
-          tooltip.push(`+ ${r.amt} ${defs.skills[r.skill].name ?? r.skill} XP`);
+          tooltip.push(`+ ${withBase(r.amt, r.base?.amt ?? r.amt)} ${defs.skills[r.skill].name ?? r.skill} XP`);
+        } else if (r.characterXp !== undefined) {
+          tooltip.push(`+ ${withBase(r.characterXp, r.base?.characterXp ?? r.characterXp)} Character XP`);
+        } else if (r.equipment) {
+          tooltip.push(`+ ${r.amt ?? 1} ${defs.equipment[r.equipment]?.name ?? r.equipment}`);
+        } else if (r.repair) {
+          tooltip.push(`Repair ${r.repair === 'any' ? 'equipped gear' : `your ${r.repair}`} by ${r.amt}`);
         } else {
           // fallback for unknown reward types
           tooltip.push(`Unknown`);
@@ -263,6 +281,18 @@ export default class ActionView {
       });
     }
 
+    // Risk
+    const risk = defs.actions[a.id].risk;
+    const chance = model ? model.getFailureChance(a) : (risk?.chance ?? 0);
+    if (risk && chance > 0) {
+      const { min, max } = risk.damage;
+      const outcome = [
+        risk.onFailure === 'partial' ? `${Math.round(risk.partial * 100)}% of rewards` : 'no rewards',
+        max > 0 && `${min === max ? min : `${min} – ${max}`} ${resName('life')} lost`,
+      ].filter(Boolean).join(', ');
+      tooltip.push(`Risk: ${Math.round(chance * 100)}% chance to fail (${outcome})`);
+    }
+
     // Join with newlines
     return tooltip.join('\n');
   }
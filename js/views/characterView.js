@@ -2,6 +2,8 @@
 export default class CharacterView {
   constructor() {
     this.cInfo = document.getElementById('character-info');
+    this.xpContainer = document.getElementById('character-xp');
+    this.xpBar = document.getElementById('character-xp-bar');
 
     if (!this.cInfo) {
       console.error("[Everlyn] Missing #character-info in DOM.");
@@ -14,6 +16,15 @@ export default class CharacterView {
 
   update(state) {
     if (!state || !this.cInfo) return;
-    this.cInfo.innerHTML = `${state.character.name} the Level ${state.character.level} ${state.character.classId}`;    
+    const c = state.character;
+    const className = state.defs?.classes?.[c.classId]?.name ?? c.classId;
+    this.cInfo.innerHTML = `${c.name} the Level ${c.level} ${className}`;
+
+    if (this.xpBar) {
+      const pct = c.xpToNext > 0 ? Math.min(100, (c.xp / c.xpToNext) * 100) : 0;
+      this.xpBar.style.width = `${pct}%`;
+      this.xpBar.textContent = `${Math.floor(c.xp)}/${c.xpToNext}`;
+      if (this.xpContainer) this.xpContainer.title = `Character XP: ${Math.floor(c.xp)}/${c.xpToNext} to level ${c.level + 1}`;
+    }
   }
 }
\ No newline at end of file
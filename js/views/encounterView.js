@@ -0,0 +1,56 @@
+// js/views/encounterView.js
+import { GameEvents } from "../eventBus.js";
+
+// The dialog for an encounter under way: what happened and a button per choice.
+// The action stays paused until one is picked.
+export default class EncounterView {
+  constructor(actionController, bus) {
+    this.controller = actionController;
+    this.s = actionController.s;
+    this.overlay = document.getElementById("encounter-overlay");
+    this.title = document.getElementById("encounter-title");
+    this.body = document.getElementById("encounter-body");
+    this.choicesEl = document.getElementById("encounter-choices");
+
+    if (!this.overlay || !this.title || !this.body || !this.choicesEl) {
+      console.error("[Everlyn] Missing #encounter-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #encounter-overlay in DOM.</pre>`
+      );
+      return;
+    }
+
+    bus.on(GameEvents.EncounterStarted, (e) => { if (!e.offline) this.show(); });
+    bus.on(GameEvents.EncounterResolved, () => this.hide());
+
+    // Event delegation: choice buttons carry data-choice
+    this.choicesEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-choice]");
+      if (btn) this.controller.resolveEncounter(btn.getAttribute("data-choice"));
+    });
+
+    // a saved game may have stopped in the middle of one
+    this.show();
+  }
+
+  show() {
+    const model = this.controller.model.encounters;
+    const encounter = model?.active();
+    if (!encounter) return;
+    const ev = this.s.defs.events[encounter.eventId];
+
+    this.title.textContent = ev.name;
+    this.body.innerHTML = `
+      <p>${ev.description}</p>
+      <p class="encounter-during">While you ${this.s.defs.actions[encounter.actionId]?.name.toLowerCase() ?? "work"}…</p>`;
+    this.choicesEl.innerHTML = model.choices()
+      .map(c => `<button type="button" class="btn-primary" data-choice="${c.id}">${c.label}</button>`)
+      .join("");
+    this.overlay.style.display = "";
+  }
+
+  hide() {
+    this.overlay.style.display = "none";
+  }
+}
@@ -0,0 +1,8 @@
+// js/views/escapeHtml.js
+
+// For text that isn't ours (save files, rosters, server replies) going into innerHTML
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (ch) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  })[ch]);
+}
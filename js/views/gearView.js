@@ -0,0 +1,86 @@
+// js/views/gearView.js
+import { describeEffect } from "../models/modifierModel.js";
+import { EQUIPMENT_SLOTS } from "../models/equipmentModel.js";
+
+export default class GearView {
+  constructor(equipmentController) {
+    this.equipmentController = equipmentController;
+    this.gearContainer = document.getElementById("gear-container");
+
+    if (!this.gearContainer) {
+      console.error("[Everlyn] Missing #gear-container in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #gear-container in DOM.</pre>`
+      );
+      return;
+    }
+
+    // Event delegation: every button carries data-gear-action and data-id
+    this.gearContainer.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-gear-action]");
+      if (!btn || btn.disabled) return;
+      const id = btn.getAttribute("data-id");
+      const handler = {
+        "equip": (x) => this.equipmentController.equip(x),
+        "unequip": (x) => this.equipmentController.unequip(x),
+      }[btn.getAttribute("data-gear-action")];
+      if (handler) handler(id);
+    });
+
+    this.lastRenderKey = null;
+  }
+
+  update(state, defs) {
+    if (!state || !defs || !this.gearContainer) return;
+
+    const model = this.equipmentController.model;
+    const items = Object.values(state.equipment).filter(e => e.unlocked || e.owned > 0);
+
+    // counts, what's equipped and wear; nothing else here changes
+    const renderKey = JSON.stringify(items.map(e => [e.id, e.owned, e.equipped, e.durability]));
+    if (renderKey === this.lastRenderKey) return;
+    this.lastRenderKey = renderKey;
+
+    const effectsText = (id) => (defs.equipment[id].effects || []).map(fx => describeEffect(fx, defs)).join(", ");
+    const durabilityText = (e) => {
+      const max = defs.equipment[e.id].durability;
+      return max == null ? "" : ` — durability ${e.durability ?? max}/${max}`;
+    };
+    const slotName = (slot) => slot[0].toUpperCase() + slot.slice(1);
+
+    // One row per slot, showing what's worn there
+    const slotsHtml = EQUIPMENT_SLOTS.map(slot => {
+      const id = model.equippedIn(slot);
+      const e = id ? state.equipment[id] : null;
+      return `
+        <div class="gear-slot">
+          <strong>${slotName(slot)}:</strong>
+          ${e
+            ? `${defs.equipment[id].name}${durabilityText(e)}
+               <span class="gear-effects">${effectsText(id)}</span>
+               <button type="button" data-gear-action="unequip" data-id="${id}">Unequip</button>`
+            : `<span class="gear-empty">empty</span>`}
+        </div>`;
+    }).join("");
+
+    // Everything known, owned or not
+    const itemsHtml = items.map(e => {
+      const def = defs.equipment[e.id];
+      const wear = (def.wearTags || []).length ? `Wears on: ${def.wearTags.join(", ")}` : "Doesn't wear out";
+      return `
+        <div class="gear-item" title="${(def.description ?? "").replace(/"/g, "&quot;")}\n${wear}">
+          <strong>${def.name}</strong> (${slotName(def.slot)}) — owned ${e.owned}${e.owned > 0 ? durabilityText(e) : ""}
+          <span class="gear-effects">${effectsText(e.id)}</span>
+          <button type="button" data-gear-action="equip" data-id="${e.id}" ${e.owned > 0 && !e.equipped ? "" : "disabled"}>Equip</button>
+        </div>`;
+    }).join("");
+
+    this.gearContainer.innerHTML = `
+      <h3>Equipped</h3>
+      ${slotsHtml}
+      <h3>Inventory</h3>
+      ${itemsHtml || "<p>You have no gear yet. Look for it among the purchases.</p>"}
+    `;
+  }
+}
@@ -0,0 +1,112 @@
+// js/views/homeView.js
+import { describeEffect } from "../models/modifierModel.js";
+
+export default class HomeView {
+  constructor(homeController) {
+    this.homeController = homeController;
+    this.houseContainer = document.getElementById("house-container");
+
+    if (!this.houseContainer) {
+      console.error("[Everlyn] Missing #house-container in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #house-container in DOM.</pre>`
+      );
+      return;
+    }
+
+    // Event delegation: every button carries data-home-action and data-id
+    this.houseContainer.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-home-action]");
+      if (!btn || btn.disabled) return;
+      const id = btn.getAttribute("data-id");
+      const handler = {
+        "buy-home": (x) => this.homeController.buyHome(x),
+        "move-in": (x) => this.homeController.moveIn(x),
+        "buy-furniture": (x) => this.homeController.buyFurniture(x),
+        "place": (x) => this.homeController.placeFurniture(x),
+        "remove": (x) => this.homeController.removeFurniture(x),
+      }[btn.getAttribute("data-home-action")];
+      if (handler) handler(id);
+    });
+
+    this.lastRenderKey = null;
+  }
+
+  update(state, defs) {
+    if (!state || !defs || !this.houseContainer) return;
+
+    const model = this.homeController.model;
+    const homes = Object.values(state.homes).filter(h => h.unlocked || h.owned);
+    const furniture = Object.values(state.furniture).filter(f => f.unlocked || f.owned);
+
+    // rebuilt only when ownership, placement or what's affordable changes
+    const renderKey = JSON.stringify([
+      state.currentHome,
+      homes.map(h => [h.id, h.owned, h.currentFurniture, model.canAfford(defs.homes[h.id].cost)]),
+      furniture.map(f => [f.id, f.owned, f.placed, model.canAfford(defs.furniture[f.id].cost)]),
+    ]);
+    if (renderKey === this.lastRenderKey) return;
+    this.lastRenderKey = renderKey;
+
+    const current = model.getCurrentHome();
+    const used = model.usedFloorSpace();
+    const space = model.floorSpace();
+    const costText = (cost) => (cost || []).length
+      ? cost.map(c => `${c.amt} ${defs.resources[c.resource]?.name ?? c.resource}`).join(", ")
+      : "Free";
+    const effectText = (fx) => describeEffect(fx, defs);
+
+    // Current home + what's placed in it
+    const placed = current ? current.currentFurniture : [];
+    const placedHtml = placed.length
+      ? placed.map(fId => {
+          const def = defs.furniture[fId];
+          return `
+            <div class="furniture">
+              <strong>${def.name}</strong> (${def.floorSpace ?? 0} space)
+              <span class="furniture-effects">${(def.effects || []).map(effectText).join(", ")}</span>
+              <button type="button" data-home-action="remove" data-id="${fId}">Remove</button>
+            </div>`;
+        }).join("")
+      : `<p>Nothing placed yet.</p>`;
+
+    // Owned furniture not yet placed, plus the shop
+    const furnitureHtml = furniture.map(f => {
+      const def = defs.furniture[f.id];
+      const stored = f.owned - f.placed;
+      const fits = used + (def.floorSpace ?? 0) <= space;
+      const canBuy = f.unlocked && model.canAfford(def.cost);
+      return `
+        <div class="furniture" title="${(def.effects || []).map(effectText).join("\n")}">
+          <strong>${def.name}</strong> (${def.floorSpace ?? 0} space) — owned ${f.owned}, in storage ${stored}
+          <button type="button" data-home-action="place" data-id="${f.id}" ${stored > 0 && fits ? "" : "disabled"}>Place</button>
+          <button type="button" data-home-action="buy-furniture" data-id="${f.id}" ${canBuy ? "" : "disabled"}>Buy (${costText(def.cost)})</button>
+        </div>`;
+    }).join("");
+
+    // Homes to buy or move into
+    const homesHtml = homes.map(h => {
+      const def = defs.homes[h.id];
+      let button;
+      if (h.id === state.currentHome) button = `<span class="home-current">Current home</span>`;
+      else if (h.owned) button = `<button type="button" data-home-action="move-in" data-id="${h.id}">Move in</button>`;
+      else button = `<button type="button" data-home-action="buy-home" data-id="${h.id}" ${model.canAfford(def.cost) ? "" : "disabled"}>Buy (${costText(def.cost)})</button>`;
+      return `
+        <div class="home">
+          <strong>${def.name}</strong> — ${def.floorSpace ?? 0} floor space ${button}
+        </div>`;
+    }).join("");
+
+    this.houseContainer.innerHTML = `
+      <p>You live in: <strong>${current ? defs.homes[current.id].name : "nowhere"}</strong>
+        — floor space ${used}/${space}</p>
+      <h3>Placed Furniture</h3>
+      ${placedHtml}
+      <h3>Furniture</h3>
+      ${furnitureHtml || "<p>No furniture available yet.</p>"}
+      <h3>Homes</h3>
+      ${homesHtml}
+    `;
+  }
+}
@@ -0,0 +1,72 @@
+// js/views/locationView.js
+import { describeEffect } from "../models/modifierModel.js";
+
+export default class LocationView {
+  constructor(actionController, locationModel) {
+    this.actionController = actionController;
+    this.locationModel = locationModel;
+    this.locationsContainer = document.getElementById("locations-container");
+
+    if (!this.locationsContainer) {
+      console.error("[Everlyn] Missing #locations-container in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #locations-container in DOM.</pre>`
+      );
+      return;
+    }
+
+    // Event delegation for the actions listed under each location
+    this.locationsContainer.addEventListener("click", (e) => {
+      const btn = e.target.closest(".action-button");
+      if (!btn || btn.disabled) return;
+      const actionId = btn.getAttribute("data-action-id");
+      if (actionId) this.actionController.startAction(actionId);
+    });
+
+    this.lastRenderKey = null;
+  }
+
+  update(state, defs) {
+    if (!state || !defs || !this.locationsContainer) return;
+
+    const model = this.actionController.model;
+    const places = this.locationModel.discovered();
+    const actionsAt = Object.fromEntries(places.map(l => [
+      l.id,
+      this.locationModel.actionsAt(l.id).filter(id => {
+        const a = state.actions[id];
+        return model.isAvailable(a) && (a.completionCount ?? 0) < (defs.actions[id].maxCompletions ?? Infinity);
+      }),
+    ]));
+    const hidden = Object.values(state.locations).filter(l => !l.discovered).length;
+
+    // each place's actions, the one running, and how many places are still hidden
+    const renderKey = JSON.stringify([actionsAt, state.currentAction, hidden]);
+    if (renderKey === this.lastRenderKey) return;
+    this.lastRenderKey = renderKey;
+
+    const placesHtml = places.map(l => {
+      const def = defs.locations[l.id];
+      const effects = (def.effects || []).map(fx => describeEffect(fx, defs)).join(", ");
+      const actions = actionsAt[l.id].map(id => {
+        const def = defs.actions[id];
+        const current = state.currentAction === id ? " active" : "";
+        return `<button type="button" class="action-button${current}" data-action-id="${id}"
+          title="${(def.description ?? "").replace(/"/g, "&quot;")}">${def.name}</button>`;
+      }).join("");
+      return `
+        <div class="location">
+          <strong>${def.name}</strong>
+          <p>${def.description ?? ""}</p>
+          ${effects ? `<p class="location-effects">${effects}</p>` : ""}
+          <div class="location-actions">${actions || "<em>Nothing for you to do here yet.</em>"}</div>
+        </div>`;
+    }).join("");
+
+    this.locationsContainer.innerHTML = `
+      ${placesHtml || "<p>You don't know your way around yet.</p>"}
+      ${hidden ? `<p class="location-hint">Exploring may turn up ${hidden === 1 ? "one more place" : "more places"}.</p>` : ""}
+    `;
+  }
+}
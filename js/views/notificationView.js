@@ -0,0 +1,94 @@
+// js/views/notificationView.js
+import { GameEvents } from "../eventBus.js";
+import {
+  NOTIFICATION_CATEGORIES, NOTIFICATION_MODES, writeNotificationPrefs,
+} from "../controllers/notificationController.js";
+
+const TOAST_MS = 4000;
+const MAX_TOASTS = 4;
+const MODE_LABELS = { show: "Show", log: "Log only", mute: "Mute" };
+
+// Toasts for new notifications, and the Alerts dialog: history plus a show/log/mute choice per category
+export default class NotificationView {
+  constructor(notificationController, bus) {
+    this.controller = notificationController;
+    this.toasts = document.getElementById("toast-container");
+    this.overlay = document.getElementById("notifications-overlay");
+    this.historyEl = document.getElementById("notifications-history");
+    this.settingsEl = document.getElementById("notifications-settings");
+    this.unreadEl = document.getElementById("notifications-unread");
+    this.unread = 0;
+
+    if (!this.toasts || !this.overlay || !this.historyEl || !this.settingsEl) {
+      console.error("[Everlyn] Missing #toast-container or #notifications-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #toast-container or #notifications-overlay in DOM.</pre>`
+      );
+      return;
+    }
+
+    bus.on(GameEvents.Notified, ({ notification }) => this.onNotified(notification));
+
+    // Event delegation: one select per category, carrying data-category
+    this.settingsEl.addEventListener("change", (e) => {
+      const select = e.target.closest("select[data-category]");
+      if (!select) return;
+      if (this.controller.setMode(select.getAttribute("data-category"), select.value)) {
+        writeNotificationPrefs(this.controller.prefs);
+      }
+    });
+    // a toast goes away early when clicked
+    this.toasts.addEventListener("click", (e) => e.target.closest(".toast")?.remove());
+
+    const on = (id, fn) => document.getElementById(id)?.addEventListener("click", fn);
+    on("notifications-button", () => this.open());
+    on("notifications-clear", () => {
+      this.controller.history.length = 0;
+      this.renderHistory();
+    });
+    on("notifications-close", () => (this.overlay.style.display = "none"));
+  }
+
+  onNotified(notification) {
+    if (this.overlay.style.display === "none") this.setUnread(this.unread + 1);
+    else this.renderHistory();
+    if (!notification.toast) return;
+
+    const toast = document.createElement("div");
+    toast.className = `toast toast-${notification.category}`;
+    toast.textContent = notification.message;
+    this.toasts.prepend(toast);
+    while (this.toasts.children.length > MAX_TOASTS) this.toasts.lastElementChild.remove();
+    setTimeout(() => toast.remove(), TOAST_MS);
+  }
+
+  setUnread(n) {
+    this.unread = n;
+    if (this.unreadEl) this.unreadEl.textContent = n > 0 ? ` (${n})` : "";
+  }
+
+  open() {
+    this.settingsEl.innerHTML = Object.entries(NOTIFICATION_CATEGORIES).map(([id, c]) => `
+      <div class="form-group notification-setting">
+        <label for="notify-${id}">${c.label}</label>
+        <select id="notify-${id}" data-category="${id}">
+          ${NOTIFICATION_MODES.map(m => `<option value="${m}" ${this.controller.modeOf(id) === m ? "selected" : ""}>${MODE_LABELS[m]}</option>`).join("")}
+        </select>
+      </div>`).join("");
+    this.renderHistory();
+    this.setUnread(0);
+    this.overlay.style.display = "";
+  }
+
+  renderHistory() {
+    const history = this.controller.history;
+    this.historyEl.innerHTML = history.length
+      ? history.map(n => `
+        <div class="log-entry">
+          <span class="notification-time">${new Date(n.at).toLocaleTimeString()}</span>
+          ${n.message}
+        </div>`).join("")
+      : `<p>Nothing yet.</p>`;
+  }
+}
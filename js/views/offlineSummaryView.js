@@ -0,0 +1,118 @@
+// js/views/offlineSummaryView.js
+
+// "2h 5m", "12m 3s", "40s"
+export function formatDuration(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
+export default class OfflineSummaryView {
+  constructor() {
+    this.overlay = document.getElementById("offline-summary-overlay");
+    this.body = document.getElementById("offline-summary-body");
+
+    if (!this.overlay || !this.body) {
+      console.error("[Everlyn] Missing #offline-summary-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #offline-summary-overlay in DOM.</pre>`
+      );
+      return;
+    }
+
+    const closeBtn = document.getElementById("offline-summary-close");
+    if (closeBtn) closeBtn.addEventListener("click", () => this.hide());
+  }
+
+  // One-line version for the adventure log
+  formatLogLine(summary, defs) {
+    const parts = [`While you were away (${formatDuration(summary.awayMs)})…`];
+    const res = Object.entries(summary.resources).map(([id, amt]) =>
+      `${amt > 0 ? "+" : ""}${amt} ${defs.resources?.[id]?.name ?? id}`
+    );
+    if (res.length) parts.push(res.join(", ") + ".");
+    const xp = Object.entries(summary.skills).map(([id, s]) =>
+      `+${s.xp} ${defs.skills?.[id]?.name ?? id} XP`
+    );
+    if (summary.character?.xp) xp.unshift(`+${summary.character.xp} XP`);
+    if (xp.length) parts.push(xp.join(", ") + ".");
+    return parts.join(" ");
+  }
+
+  show(summary, defs) {
+    if (!this.overlay || !this.body || !summary) return;
+
+    const nameOf = (type, id) => defs[type]?.[id]?.name ?? id;
+    const sections = [];
+
+    sections.push(`<p>You were gone for <strong>${formatDuration(summary.awayMs)}</strong>.</p>`);
+    if (summary.capped) {
+      sections.push(`<p class="offline-capped">Only the first ${formatDuration(summary.simulatedMs)} counted toward your progress.</p>`);
+    }
+
+    const completions = Object.entries(summary.completions);
+    if (completions.length) {
+      sections.push(`<h3>Actions</h3><ul>${completions
+        .map(([id, n]) => `<li>${nameOf("actions", id)} ×${n}</li>`)
+        .join("")}</ul>`);
+    }
+
+    const resources = Object.entries(summary.resources);
+    if (resources.length) {
+      sections.push(`<h3>Resources</h3><ul>${resources
+        .map(([id, amt]) => `<li>${amt > 0 ? "+" : ""}${amt} ${nameOf("resources", id)}</li>`)
+        .join("")}</ul>`);
+    }
+
+    const levelsText = (n) => (n > 0 ? ` (+${n} level${n > 1 ? "s" : ""})` : "");
+    const skills = Object.entries(summary.skills);
+    const character = summary.character?.xp
+      ? [`<li>+${summary.character.xp} Character XP${levelsText(summary.character.levels)}</li>`]
+      : [];
+    if (skills.length || character.length) {
+      sections.push(`<h3>Experience</h3><ul>${[
+        ...character,
+        ...skills.map(([id, s]) => `<li>+${s.xp} ${nameOf("skills", id)} XP${levelsText(s.levels)}</li>`),
+      ].join("")}</ul>`);
+    }
+
+    if (summary.unlocks.length) {
+      sections.push(`<h3>Unlocked</h3><ul>${summary.unlocks
+        .map(({ type, id }) => `<li>${nameOf(type, id)}</li>`)
+        .join("")}</ul>`);
+    }
+
+    const encounters = Object.entries(summary.encounters ?? {});
+    if (encounters.length) {
+      const defaultLabel = (id) => {
+        const ev = defs.events?.[id];
+        return ev?.choices.find(c => c.id === ev.defaultChoice)?.label ?? "";
+      };
+      sections.push(`<h3>Encounters</h3><ul>${encounters
+        .map(([id, n]) => `<li>${nameOf("events", id)} ×${n} <span class="offline-default">(${defaultLabel(id)})</span></li>`)
+        .join("")}</ul>`);
+    }
+
+    if (summary.achievements?.length) {
+      sections.push(`<h3>Achievements</h3><ul>${summary.achievements
+        .map(id => `<li>${nameOf("achievements", id)}</li>`)
+        .join("")}</ul>`);
+    }
+
+    if (!completions.length && !resources.length) {
+      sections.push(`<p>Nothing much happened.</p>`);
+    }
+
+    this.body.innerHTML = sections.join("");
+    this.overlay.style.display = "";
+  }
+
+  hide() {
+    if (this.overlay) this.overlay.style.display = "none";
+  }
+}
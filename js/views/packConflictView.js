@@ -0,0 +1,46 @@
+// js/views/packConflictView.js
+import { escapeHtml } from "./escapeHtml.js";
+
+// Shown at startup when the save was made with content packs that aren't enabled
+export default class PackConflictView {
+  constructor() {
+    this.overlay = document.getElementById("pack-conflict-overlay");
+    this.body = document.getElementById("pack-conflict-body");
+
+    if (!this.overlay || !this.body) {
+      console.error("[Everlyn] Missing #pack-conflict-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #pack-conflict-overlay in DOM.</pre>`
+      );
+    }
+  }
+
+  // Resolves "enable" to turn the installed packs back on, "ignore" to load without them
+  ask(conflict, available) {
+    if (!this.overlay || !this.body) return Promise.resolve("ignore");
+
+    // the ids come from the save, which may have been imported
+    const name = (id) => escapeHtml(available.find(p => p.id === id)?.name ?? id);
+    const note = (id) => conflict.broken?.includes(id) ? " (has errors)"
+      : conflict.installed.includes(id) ? "" : " (not installed)";
+    this.body.innerHTML = `
+      <p>This character was saved with content packs that are turned off:</p>
+      <ul>${conflict.missing.map(id => `<li>${name(id)}${note(id)}</li>`).join("")}</ul>
+      <p class="import-warning">Loading without them removes anything from those packs from this character.</p>`;
+
+    const enableBtn = document.getElementById("pack-conflict-enable");
+    const ignoreBtn = document.getElementById("pack-conflict-ignore");
+    enableBtn.style.display = conflict.installed.length ? "" : "none";
+    this.overlay.style.display = "";
+
+    return new Promise((resolve) => {
+      const done = (choice) => {
+        this.overlay.style.display = "none";
+        resolve(choice);
+      };
+      enableBtn.onclick = () => done("enable");
+      ignoreBtn.onclick = () => done("ignore");
+    });
+  }
+}
@@ -0,0 +1,60 @@
+// js/views/packsView.js
+import { writeEnabledPacks } from "../boot/contentPacks.js";
+
+// The Packs dialog: turn content packs on or off; the game reloads to apply them
+export default class PacksView {
+  constructor(saveController, packs) {
+    this.saveController = saveController;
+    this.packs = packs; // defs.packs: { available, enabled, failed }
+    this.overlay = document.getElementById("packs-overlay");
+    this.list = document.getElementById("packs-list");
+    this.status = document.getElementById("packs-status");
+
+    if (!this.overlay || !this.list) {
+      console.error("[Everlyn] Missing #packs-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #packs-overlay in DOM.</pre>`
+      );
+      return;
+    }
+
+    const on = (id, fn) => document.getElementById(id)?.addEventListener("click", fn);
+    on("packs-button", () => this.open());
+    on("packs-apply", () => this.apply());
+    on("packs-close", () => (this.overlay.style.display = "none"));
+  }
+
+  open() {
+    const { available, enabled, failed = [] } = this.packs;
+    const broken = (id) => failed.some(f => f.id === id);
+    this.list.innerHTML = available.length
+      ? available.map(p => `
+        <label class="pack">
+          <input type="checkbox" data-pack="${p.id}" ${enabled.includes(p.id) ? "checked" : ""}>
+          <span>
+            <strong>${p.name}</strong>
+            <div class="slot-meta">${p.description}</div>
+            ${broken(p.id) ? `<div class="import-error">Has errors, so it wasn't loaded (details in the browser console). Leave it off until it's fixed.</div>` : ""}
+          </span>
+        </label>`).join("")
+      : `<p>No content packs are installed.</p>`;
+    this.status.textContent = "";
+    this.overlay.style.display = "";
+  }
+
+  async apply() {
+    const ids = [...this.list.querySelectorAll("input[data-pack]:checked")].map(el => el.dataset.pack);
+    const { enabled, failed = [] } = this.packs;
+    // with a broken pack, the saved choice still names it; writing it again clears that
+    if (!failed.length && ids.length === enabled.length && ids.every(id => enabled.includes(id))) {
+      this.status.textContent = "Those packs are already on.";
+      return;
+    }
+    this.status.textContent = "Saving and reloading…";
+    this.saveController.stopAutoSave();
+    await this.saveController.save();
+    writeEnabledPacks(ids);
+    location.reload();
+  }
+}
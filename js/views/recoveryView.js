@@ -0,0 +1,57 @@
+// js/views/recoveryView.js
+import { formatDuration } from "./offlineSummaryView.js";
+import { escapeHtml } from "./escapeHtml.js";
+
+const REASONS = {
+  unreadable: "could not be read",
+  incomplete: "is incomplete",
+  checksum: "failed its integrity check",
+  unloadable: "could not be loaded",
+};
+
+// Shown at startup when the save was damaged: restore the newest backup or start over
+export default class RecoveryView {
+  constructor() {
+    this.overlay = document.getElementById("recovery-overlay");
+    this.body = document.getElementById("recovery-body");
+
+    if (!this.overlay || !this.body) {
+      console.error("[Everlyn] Missing #recovery-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #recovery-overlay in DOM.</pre>`
+      );
+    }
+  }
+
+  // Resolves true to restore the backup, false to start over
+  ask(recovery) {
+    if (!this.overlay || !this.body) return Promise.resolve(false);
+
+    const p = recovery.backup?.preview;
+    this.body.innerHTML = `
+      <p>Your save ${REASONS[recovery.reason] ?? "is damaged"}. It has been set aside
+        (as <code>${escapeHtml(recovery.quarantineKey)}</code>) rather than deleted.</p>
+      ${p ? `
+        <h3>Newest backup</h3>
+        <ul>
+          <li><strong>${escapeHtml(p.name)}</strong> the Level ${escapeHtml(p.level)} ${escapeHtml(p.className)}</li>
+          <li>Play time: ${formatDuration(p.playTimeMs)}</li>
+          ${p.savedAt ? `<li>Saved: ${new Date(p.savedAt).toLocaleString()}</li>` : ""}
+        </ul>` : `<p class="import-error">There is no usable backup to restore.</p>`}`;
+
+    const restoreBtn = document.getElementById("recovery-restore");
+    const freshBtn = document.getElementById("recovery-fresh");
+    restoreBtn.style.display = p ? "" : "none";
+    this.overlay.style.display = "";
+
+    return new Promise((resolve) => {
+      const done = (restore) => {
+        this.overlay.style.display = "none";
+        resolve(restore);
+      };
+      restoreBtn.onclick = () => done(true);
+      freshBtn.onclick = () => done(false);
+    });
+  }
+}
@@ -1,6 +1,10 @@
 // js/views/resourceView.js
+// amounts can be fractional once regen applies; show whole units
+const fmt = (n) => Math.floor(n ?? 0);
+
 export default class ResourceView {
-  constructor() {
+  constructor(resourceModel = null) {
+    this.resourceModel = resourceModel;
     this.currencyContainer = document.getElementById("currencies-container");
     this.statPoolsContainer = document.getElementById("stat-pools-container");
 
@@ -20,6 +24,25 @@ export default class ResourceView {
     }
   }
 
+  rateText(r) {
+    const fmtRate = (x) => `${x > 0 ? '+' : ''}${Math.round(x * 100) / 100}/s`;
+    if (!this.resourceModel) return fmtRate(r.changePerTick ?? 0);
+    const rate = this.resourceModel.getRate(r.id);
+    const base = this.resourceModel.getBaseRate(r.id);
+    return rate === base ? fmtRate(rate) : `${fmtRate(rate)} (base ${fmtRate(base)})`;
+  }
+
+  maximumOf(r) {
+    return this.resourceModel ? this.resourceModel.getMaximum(r.id) : r.maximum;
+  }
+
+  // Tooltip: modified values first, base in brackets when they differ
+  toolTip(r, defs) {
+    const max = this.maximumOf(r);
+    const maxText = max === r.maximum ? `${max}` : `${fmt(max)} (base ${r.maximum})`;
+    return `Rate: ${this.rateText(r)}\nMax: ${maxText}\n${defs.resources?.[r.id]?.description ?? ''}`;
+  }
+
   update(state, defs) {
     if (!state || !defs) return;
 
@@ -37,7 +60,7 @@ export default class ResourceView {
         const div = document.createElement('div');
         div.className = 'currency';
         // Tooltip
-        div.title = `Rate: ${r.changePerTick ?? 0}\n${defs.resources?.[r.id]?.description ?? ''}`;
+        div.title = this.toolTip(r, defs);
 
         // Name
         const nameSpan = document.createElement('span');
@@ -48,7 +71,7 @@ export default class ResourceView {
         // Amount/Maximum
         const amountSpan = document.createElement('span');
         amountSpan.className = 'currency-amount';
-        amountSpan.textContent = `: ${r.amount}/${r.maximum}`;
+        amountSpan.textContent = `: ${fmt(r.amount)}/${fmt(this.maximumOf(r))}`;
         div.appendChild(amountSpan);
 
 
@@ -63,7 +86,7 @@ export default class ResourceView {
         const div = document.createElement('div');
         div.className = 'stat-pool';
         // Tooltip
-        div.title = `Rate: ${r.changePerTick ?? 0}\n${defs.resources?.[r.id]?.description ?? ''}`;
+        div.title = this.toolTip(r, defs);
 
         // Name
         const nameSpan = document.createElement('span');
@@ -78,13 +101,14 @@ export default class ResourceView {
         // Progress bar
         const progressBar = document.createElement('div');
         progressBar.className = `progress-bar progress-${r.id}`;
-        const percent = r.maximum > 0 ? Math.min(100, (r.amount / r.maximum) * 100) : 0;
+        const max = this.maximumOf(r);
+        const percent = max > 0 ? Math.min(100, (r.amount / max) * 100) : 0;
         progressBar.style.width = `${percent}%`;
 
         // Amount/Maximum text
         const amountSpan = document.createElement('span');
         amountSpan.className = 'stat-amount';
-        amountSpan.textContent = `${r.amount}/${r.maximum}`;
+        amountSpan.textContent = `${fmt(r.amount)}/${fmt(max)}`;
         progressBar.appendChild(amountSpan);
 
         progressContainer.appendChild(progressBar);
@@ -0,0 +1,109 @@
+// js/views/saveTransferView.js
+import { formatDuration } from "./offlineSummaryView.js";
+import { escapeHtml } from "./escapeHtml.js";
+
+// Export / Import dialogs behind the header buttons
+export default class SaveTransferView {
+  constructor(saveController) {
+    this.saveController = saveController;
+    this.exportOverlay = document.getElementById("export-overlay");
+    this.importOverlay = document.getElementById("import-overlay");
+    this.pendingSave = null; // validated save waiting for the player to confirm
+
+    if (!this.exportOverlay || !this.importOverlay) {
+      console.error("[Everlyn] Missing #export-overlay or #import-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #export-overlay or #import-overlay in DOM.</pre>`
+      );
+      return;
+    }
+
+    const on = (id, fn) => document.getElementById(id)?.addEventListener("click", fn);
+    on("export-button", () => this.openExport());
+    on("import-button", () => this.openImport());
+    on("export-copy", () => this.copyExport());
+    on("export-download", () => this.downloadExport());
+    on("export-close", () => (this.exportOverlay.style.display = "none"));
+    on("import-check", () => this.checkImport(document.getElementById("import-text").value));
+    on("import-confirm", () => this.confirmImport());
+    on("import-close", () => this.closeImport());
+
+    document.getElementById("import-file")?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      const text = await file.text();
+      document.getElementById("import-text").value = text;
+      this.checkImport(text);
+    });
+  }
+
+  async openExport() {
+    const text = await this.saveController.exportString();
+    document.getElementById("export-text").value = text;
+    document.getElementById("export-status").textContent = "";
+    this.exportOverlay.style.display = "";
+  }
+
+  async copyExport() {
+    const status = document.getElementById("export-status");
+    try {
+      await navigator.clipboard.writeText(document.getElementById("export-text").value);
+      status.textContent = "Copied to clipboard.";
+    } catch {
+      document.getElementById("export-text").select();
+      status.textContent = "Select the text and copy it manually.";
+    }
+  }
+
+  downloadExport() {
+    const name = (this.saveController.state.character.name || "everlyn").replace(/[^A-Za-z0-9]+/g, "_");
+    const blob = new Blob([document.getElementById("export-text").value], { type: "text/plain" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name}.everlyn`;
+    link.click();
+    // revoking right away can cancel the download before the browser has started it
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  openImport() {
+    this.pendingSave = null;
+    document.getElementById("import-text").value = "";
+    document.getElementById("import-file").value = "";
+    document.getElementById("import-preview").innerHTML = "";
+    document.getElementById("import-confirm").disabled = true;
+    this.importOverlay.style.display = "";
+  }
+
+  closeImport() {
+    this.pendingSave = null;
+    this.importOverlay.style.display = "none";
+  }
+
+  async checkImport(text) {
+    const preview = document.getElementById("import-preview");
+    const confirmBtn = document.getElementById("import-confirm");
+    const result = await this.saveController.readImport(text);
+    this.pendingSave = result.ok ? result.save : null;
+    confirmBtn.disabled = !result.ok;
+    if (!result.ok) {
+      preview.innerHTML = `<p class="import-error">${escapeHtml(result.reason)}</p>`;
+      return;
+    }
+    const p = result.preview;
+    preview.innerHTML = `
+      <ul>
+        <li><strong>${escapeHtml(p.name)}</strong> the Level ${escapeHtml(p.level)} ${escapeHtml(p.className)}</li>
+        <li>Play time: ${formatDuration(p.playTimeMs)}</li>
+        ${p.savedAt ? `<li>Exported: ${new Date(p.savedAt).toLocaleString()}</li>` : ""}
+      </ul>
+      <p class="import-warning">Importing replaces your current game.</p>`;
+  }
+
+  async confirmImport() {
+    if (!this.pendingSave) return;
+    await this.saveController.importSave(this.pendingSave);
+    location.reload();
+  }
+}
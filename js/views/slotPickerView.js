@@ -0,0 +1,117 @@
+// js/views/slotPickerView.js
+import { formatDuration } from "./offlineSummaryView.js";
+import { escapeHtml } from "./escapeHtml.js";
+
+// The roster shown on the welcome overlay: load, duplicate, delete or start a character
+export default class SlotPickerView {
+  constructor(saveController) {
+    this.saveController = saveController;
+    this.overlay = document.getElementById("character-creation-overlay");
+    this.picker = document.getElementById("slot-picker");
+    this.list = document.getElementById("slot-list");
+    this.form = document.getElementById("character-form");
+    this.backBtn = document.getElementById("slot-back");
+    this.playing = false; // a loaded character is running behind the overlay
+
+    if (!this.overlay || !this.picker || !this.list || !this.form) {
+      console.error("[Everlyn] Missing #slot-picker in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #slot-picker in DOM.</pre>`
+      );
+      return;
+    }
+
+    // Event delegation: every slot button carries data-slot-action and data-id
+    this.list.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-slot-action]");
+      if (!btn || btn.disabled) return;
+      const id = btn.getAttribute("data-id");
+      const handler = {
+        "load": (x) => this.load(x),
+        "duplicate": (x) => this.duplicate(x),
+        "delete": (x) => this.remove(x),
+      }[btn.getAttribute("data-slot-action")];
+      if (handler) handler(id);
+    });
+
+    document.getElementById("slot-new")?.addEventListener("click", () => this.newCharacter());
+    this.backBtn?.addEventListener("click", () => this.hide());
+    document.getElementById("characters-button")?.addEventListener("click", () => this.show({ playing: true }));
+  }
+
+  async show({ playing = false } = {}) {
+    if (!this.picker) return;
+    this.playing = playing;
+    const roster = await this.saveController.slots.list();
+    // with nobody to pick, go straight to creating one
+    const creating = !playing && roster.length === 0;
+    this.picker.style.display = creating ? "none" : "";
+    this.form.style.display = creating ? "" : "none";
+    if (this.backBtn) this.backBtn.style.display = playing ? "" : "none";
+    this.render(roster);
+    this.overlay.style.display = "";
+  }
+
+  hide() {
+    if (this.overlay) this.overlay.style.display = "none";
+  }
+
+  render(roster) {
+    const defs = this.saveController.defs;
+    const active = this.saveController.slotId;
+    const sorted = [...roster].sort((a, b) => (b.lastPlayed ?? 0) - (a.lastPlayed ?? 0));
+    this.list.innerHTML = sorted.map(s => {
+      const isActive = this.playing && s.id === active;
+      // roster entries come from storage (an import or a save server), not from us
+      const id = escapeHtml(s.id);
+      return `
+        <div class="slot${isActive ? " slot-active" : ""}">
+          <div>
+            <strong>${escapeHtml(s.name)}</strong> the Level ${escapeHtml(s.level)} ${escapeHtml(defs.classes[s.classId]?.name ?? s.classId)}
+            <div class="slot-meta">
+              Last played ${s.lastPlayed ? new Date(s.lastPlayed).toLocaleString() : "—"}
+              · ${formatDuration(s.playTimeMs ?? 0)} played
+            </div>
+          </div>
+          <div class="slot-buttons">
+            <button type="button" data-slot-action="load" data-id="${id}" ${isActive ? "disabled" : ""}>${isActive ? "Playing" : "Load"}</button>
+            <button type="button" data-slot-action="duplicate" data-id="${id}">Duplicate</button>
+            <button type="button" data-slot-action="delete" data-id="${id}">Delete</button>
+          </div>
+        </div>`;
+    }).join("") || "<p>No saved characters yet.</p>";
+  }
+
+  async load(id) {
+    await this.saveController.switchSlot(id);
+    location.reload();
+  }
+
+  async duplicate(id) {
+    if (this.playing && id === this.saveController.slotId) await this.saveController.save();
+    await this.saveController.slots.duplicate(id);
+    this.render(await this.saveController.slots.list());
+  }
+
+  async remove(id) {
+    const entry = (await this.saveController.slots.list()).find(s => s.id === id);
+    if (!confirm(`Delete ${entry?.name ?? "this character"} for good?`)) return;
+    const running = this.playing && id === this.saveController.slotId;
+    if (running) this.saveController.stopAutoSave();
+    await this.saveController.slots.remove(id);
+    if (running) location.reload();
+    else this.render(await this.saveController.slots.list());
+  }
+
+  // Fresh page state can take the new character directly; a running game reloads into a new slot
+  async newCharacter() {
+    if (this.playing) {
+      await this.saveController.switchSlot(null);
+      location.reload();
+      return;
+    }
+    this.picker.style.display = "none";
+    this.form.style.display = "";
+  }
+}
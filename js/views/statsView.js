@@ -0,0 +1,137 @@
+// js/views/statsView.js
+import { formatDuration } from "./offlineSummaryView.js";
+
+// The Statistics half of the Status screen: lifetime and this-session totals as sortable tables
+export default class StatsView {
+  constructor(statsController) {
+    this.stats = statsController;
+    this.container = document.getElementById("stats-container");
+
+    if (!this.container) {
+      console.error("[Everlyn] Missing #stats-container in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #stats-container in DOM.</pre>`
+      );
+      return;
+    }
+
+    // per table: the column it's sorted by and the direction (1 ascending, -1 descending)
+    this.sort = {
+      actions: { key: "lifetime", dir: -1 },
+      resources: { key: "earned", dir: -1 },
+      skills: { key: "lifetime", dir: -1 },
+      time: { key: "order", dir: 1 },
+    };
+
+    // Event delegation: sortable headers carry data-sort-table and data-sort-key
+    this.container.addEventListener("click", (e) => {
+      const th = e.target.closest("[data-sort-key]");
+      if (!th) return;
+      const table = th.getAttribute("data-sort-table");
+      const key = th.getAttribute("data-sort-key");
+      const current = this.sort[table];
+      // same column flips; a new one starts with names A-Z and numbers largest first
+      this.sort[table] = current.key === key
+        ? { key, dir: -current.dir }
+        : { key, dir: key === "name" ? 1 : -1 };
+      this.lastRenderKey = null;
+      this.update(this.state, this.defs);
+    });
+
+    this.lastRenderKey = null;
+  }
+
+  update(state, defs) {
+    if (!state || !defs || !this.container) return;
+    this.state = state;
+    this.defs = defs;
+
+    const life = this.stats.totals("lifetime");
+    const session = this.stats.totals("session");
+
+    // times tick every frame; only a new second is worth a re-render
+    const bySecond = ({ playTimeMs = 0, workMs, restMs, offlineMs, ...counts }) =>
+      [counts, ...[playTimeMs, workMs, restMs, offlineMs].map(ms => Math.floor(ms / 1000))];
+    const renderKey = JSON.stringify([bySecond(life), bySecond(session), this.sort]);
+    if (renderKey === this.lastRenderKey) return;
+    this.lastRenderKey = renderKey;
+
+    const nameOf = (type, id) => defs[type]?.[id]?.name ?? id;
+    const ids = (...tables) => [...new Set(tables.flatMap(t => Object.keys(t)))];
+    const count = (n) => Math.round(n ?? 0).toLocaleString();
+
+    const actions = ids(life.completions).map(id => ({
+      name: nameOf("actions", id),
+      lifetime: life.completions[id] ?? 0,
+      session: session.completions[id] ?? 0,
+    }));
+    const resources = ids(life.earned, life.spent).map(id => ({
+      name: nameOf("resources", id),
+      earned: life.earned[id] ?? 0,
+      spent: life.spent[id] ?? 0,
+      sessionEarned: session.earned[id] ?? 0,
+      sessionSpent: session.spent[id] ?? 0,
+    }));
+    const skills = ids(life.skillXp).map(id => ({
+      name: nameOf("skills", id),
+      lifetime: life.skillXp[id] ?? 0,
+      session: session.skillXp[id] ?? 0,
+    }));
+    const time = [
+      ["Play time", "playTimeMs"],
+      ["Working", "workMs"],
+      ["Resting", "restMs"],
+      ["Offline progress", "offlineMs"],
+    ].map(([name, key], order) => ({ order, name, lifetime: life[key] ?? 0, session: session[key] ?? 0 }));
+
+    this.container.innerHTML = `
+      <h3>Time</h3>
+      ${this.table("time", [
+        { key: "name", label: "" },
+        { key: "lifetime", label: "Lifetime", format: formatDuration },
+        { key: "session", label: "This session", format: formatDuration },
+      ], time)}
+      <h3>Actions Completed</h3>
+      ${this.table("actions", [
+        { key: "name", label: "Action" },
+        { key: "lifetime", label: "Lifetime", format: count },
+        { key: "session", label: "This session", format: count },
+      ], actions)}
+      <h3>Resources</h3>
+      ${this.table("resources", [
+        { key: "name", label: "Resource" },
+        { key: "earned", label: "Earned", format: count },
+        { key: "spent", label: "Spent", format: count },
+        { key: "sessionEarned", label: "Earned this session", format: count },
+        { key: "sessionSpent", label: "Spent this session", format: count },
+      ], resources)}
+      <h3>Skill XP</h3>
+      ${this.table("skills", [
+        { key: "name", label: "Skill" },
+        { key: "lifetime", label: "Lifetime", format: count },
+        { key: "session", label: "This session", format: count },
+      ], skills)}
+    `;
+  }
+
+  table(id, columns, rows) {
+    const { key, dir } = this.sort[id];
+    const sorted = [...rows].sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      return (typeof x === "string" ? x.localeCompare(y) : x - y) * dir;
+    });
+    const head = columns.map(c => {
+      const arrow = c.key === key ? (dir > 0 ? " ▲" : " ▼") : "";
+      return `<th class="sortable" data-sort-table="${id}" data-sort-key="${c.key}">${c.label}${arrow}</th>`;
+    }).join("");
+    const body = sorted.map(row => `
+      <tr>${columns.map(c => `<td>${c.format ? c.format(row[c.key]) : row[c.key]}</td>`).join("")}</tr>`).join("");
+    return `
+      <table class="status-table">
+        <thead><tr>${head}</tr></thead>
+        <tbody>${body || `<tr><td colspan="${columns.length}">Nothing yet.</td></tr>`}</tbody>
+      </table>`;
+  }
+}
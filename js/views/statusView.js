@@ -0,0 +1,83 @@
+// js/views/statusView.js
+import { describeEffect } from "../models/modifierModel.js";
+
+export default class StatusView {
+  constructor(classController) {
+    this.classController = classController;
+    this.statusContainer = document.getElementById("status-container");
+
+    if (!this.statusContainer) {
+      console.error("[Everlyn] Missing #status-container in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #status-container in DOM.</pre>`
+      );
+      return;
+    }
+
+    // Event delegation: promotion buttons carry data-class-action and data-id
+    this.statusContainer.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-class-action]");
+      if (!btn || btn.disabled) return;
+      if (btn.getAttribute("data-class-action") === "promote") {
+        this.classController.promote(btn.getAttribute("data-id"));
+      }
+    });
+
+    this.lastRenderKey = null;
+  }
+
+  update(state, defs) {
+    if (!state || !defs || !this.statusContainer) return;
+
+    const model = this.classController.model;
+    const c = state.character;
+    const promotions = model.availablePromotions();
+
+    // the character line, class history and promotion buttons
+    const renderKey = JSON.stringify([c.name, c.level, c.classId, c.classHistory, promotions]);
+    if (renderKey === this.lastRenderKey) return;
+    this.lastRenderKey = renderKey;
+
+    const className = (id) => defs.classes[id]?.name ?? id;
+    const effectsText = (id) => (defs.classes[id]?.effects || []).map(fx => describeEffect(fx, defs)).join(", ");
+    const when = (at) => (Number.isFinite(at) ? new Date(at).toLocaleString() : "—");
+
+    const current = c.classId
+      ? `<div class="class-current">
+          <strong>${className(c.classId)}</strong>
+          <p>${defs.classes[c.classId]?.description ?? ""}</p>
+          <p class="class-effects">${effectsText(c.classId) || "No passive bonuses."}</p>
+        </div>`
+      : `<p>No class chosen yet.</p>`;
+
+    const promotionsHtml = promotions.length
+      ? promotions.map(id => `
+          <div class="class-promotion">
+            <strong>${className(id)}</strong> — ${defs.classes[id].description ?? ""}
+            <span class="class-effects">${effectsText(id)}</span>
+            <button type="button" data-class-action="promote" data-id="${id}">Advance</button>
+          </div>`).join("")
+      : `<p>Keep training; no promotion is open to you yet.</p>`;
+
+    const historyRows = (c.classHistory || []).map((h, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${className(h.classId)}</td>
+        <td>${when(h.at)}</td>
+      </tr>`).join("");
+
+    this.statusContainer.innerHTML = `
+      <p>${c.name || "Unnamed"} — Level ${c.level}</p>
+      <h3>Class</h3>
+      ${current}
+      <h3>Promotions</h3>
+      ${promotionsHtml}
+      <h3>Class History</h3>
+      <table class="status-table">
+        <thead><tr><th>#</th><th>Class</th><th>Since</th></tr></thead>
+        <tbody>${historyRows || `<tr><td colspan="3">None yet.</td></tr>`}</tbody>
+      </table>
+    `;
+  }
+}
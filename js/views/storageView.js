@@ -0,0 +1,62 @@
+// js/views/storageView.js
+import { STORAGE_BACKENDS } from "../storage/storageBackends.js";
+
+// The Storage dialog: pick where saves live and move them there
+export default class StorageView {
+  constructor(saveController, config) {
+    this.saveController = saveController;
+    this.config = config; // the backend this page load is using
+    this.overlay = document.getElementById("storage-overlay");
+    this.select = document.getElementById("storage-backend");
+    this.urlGroup = document.getElementById("storage-url-group");
+    this.urlInput = document.getElementById("storage-url");
+    this.status = document.getElementById("storage-status");
+
+    if (!this.overlay || !this.select || !this.urlInput) {
+      console.error("[Everlyn] Missing #storage-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #storage-overlay in DOM.</pre>`
+      );
+      return;
+    }
+
+    this.select.innerHTML = Object.entries(STORAGE_BACKENDS).map(([id, b]) =>
+      `<option value="${id}" ${b.isAvailable() ? "" : "disabled"}>${b.name}</option>`
+    ).join("");
+    this.select.addEventListener("change", () => this.showUrl());
+
+    const on = (id, fn) => document.getElementById(id)?.addEventListener("click", fn);
+    on("storage-button", () => this.open());
+    on("storage-switch", () => this.switchTo());
+    on("storage-close", () => (this.overlay.style.display = "none"));
+  }
+
+  open() {
+    this.select.value = this.config.backend;
+    this.urlInput.value = this.config.url ?? "";
+    this.status.textContent = "";
+    this.showUrl();
+    this.overlay.style.display = "";
+  }
+
+  showUrl() {
+    if (this.urlGroup) this.urlGroup.style.display = STORAGE_BACKENDS[this.select.value]?.needsUrl ? "" : "none";
+  }
+
+  async switchTo() {
+    const backend = this.select.value;
+    const config = STORAGE_BACKENDS[backend].needsUrl ? { backend, url: this.urlInput.value.trim() } : { backend };
+    if (config.backend === this.config.backend && config.url === this.config.url) {
+      this.status.textContent = "Your saves are already there.";
+      return;
+    }
+    this.status.textContent = "Moving your saves…";
+    const result = await this.saveController.switchStorage(config);
+    if (!result.ok) {
+      this.status.textContent = `Couldn't switch: ${result.reason}`;
+      return;
+    }
+    location.reload();
+  }
+}
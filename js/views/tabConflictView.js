@@ -0,0 +1,36 @@
+// js/views/tabConflictView.js
+
+// Covers the page while another tab owns the game
+export default class TabConflictView {
+  constructor() {
+    this.overlay = document.getElementById("tab-conflict-overlay");
+    this.message = document.getElementById("tab-conflict-message");
+    this.takeOverBtn = document.getElementById("tab-conflict-takeover");
+
+    if (!this.overlay || !this.message || !this.takeOverBtn) {
+      console.error("[Everlyn] Missing #tab-conflict-overlay in DOM.");
+      document.body.insertAdjacentHTML(
+        "beforeend",
+        `<pre style="color:red;">Missing #tab-conflict-overlay in DOM.</pre>`
+      );
+    }
+  }
+
+  // Resolves once the player chooses to play in this tab
+  ask(message) {
+    if (!this.overlay) return Promise.resolve();
+    this.message.textContent = message;
+    this.takeOverBtn.disabled = false;
+    this.overlay.style.display = "";
+    return new Promise((resolve) => {
+      this.takeOverBtn.onclick = () => {
+        this.takeOverBtn.disabled = true; // the handover can take a moment
+        resolve();
+      };
+    });
+  }
+
+  hide() {
+    if (this.overlay) this.overlay.style.display = "none";
+  }
+}
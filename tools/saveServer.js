@@ -0,0 +1,112 @@
+// tools/saveServer.js
+//
+// A local stand-in for a save-sync server, for the "Save server (HTTP)" storage
+// backend (js/storage/httpStorageAdapter.js). Each key is one file in --dir.
+//
+//   node tools/saveServer.js [--port 8787] [--dir .everlyn-saves]
+//
+import { createServer } from "node:http";
+import { mkdir, readFile, writeFile, unlink, readdir } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { isSaveKey } from "../js/save/saveSlots.js";
+
+const MAX_BODY = 5 * 1024 * 1024;
+
+function parseArgs(argv) {
+  const opts = { port: 8787, dir: ".everlyn-saves" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+    opts[key] = typeof opts[key] === "number" ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const dir = resolve(opts.dir);
+await mkdir(dir, { recursive: true });
+
+// keys become file names. encodeURIComponent escapes "/" but leaves "." and ".." as
+// they are, so only the game's own save keys (all "everlyn-" names) are accepted.
+const fileFor = (key) => join(dir, encodeURIComponent(key));
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("Save too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  const send = (status, body = "", type = "text/plain") => {
+    res.writeHead(status, {
+      "Content-Type": type,
+      // the game may be opened from file:// or another port
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    res.end(body);
+  };
+
+  if (req.method === "OPTIONS") return send(204);
+
+  const path = new URL(req.url, "http://localhost").pathname;
+  if (path === "/saves" && req.method === "GET") {
+    const keys = (await readdir(dir)).map(decodeURIComponent);
+    return send(200, JSON.stringify(keys), "application/json");
+  }
+
+  const match = path.match(/^\/saves\/([^/]+)$/);
+  if (!match) return send(404, "Not found");
+  let key;
+  try {
+    key = decodeURIComponent(match[1]);
+  } catch {
+    return send(400, "Not a save key"); // malformed escape, e.g. "%E0%A4%A"
+  }
+  if (!isSaveKey(key)) return send(400, "Not a save key");
+
+  switch (req.method) {
+    case "GET":
+      try {
+        return send(200, await readFile(fileFor(key), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return send(404, "No such key");
+        throw err;
+      }
+    case "PUT":
+      await writeFile(fileFor(key), await readBody(req), "utf8");
+      return send(204);
+    case "DELETE":
+      await unlink(fileFor(key)).catch(err => {
+        if (err.code !== "ENOENT") throw err;
+      });
+      return send(204);
+    default:
+      return send(405, "Method not allowed");
+  }
+}
+
+createServer((req, res) => {
+  handle(req, res).catch(err => {
+    console.error(err);
+    if (!res.headersSent) {
+      res.writeHead(err.status ?? 500, { "Access-Control-Allow-Origin": "*" });
+      res.end(err.message);
+    }
+  });
+}).listen(opts.port, () => {
+  console.log(`Everlyn save server on http://localhost:${opts.port}, storing in ${dir}`);
+});
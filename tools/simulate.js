@@ -0,0 +1,48 @@
+// tools/simulate.js
+//
+// Run the game headless and print where a character ends up.
+//
+//   node tools/simulate.js [--action beg] [--hours 1] [--seed 42]
+//
+import { createHeadlessGame } from "../js/headless.js";
+import { GameEvents } from "../js/eventBus.js";
+
+function parseArgs(argv) {
+  const opts = { action: "beg", hours: 1, seed: 42 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+    opts[key] = typeof opts[key] === "number" ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const game = await createHeadlessGame({ seed: opts.seed });
+const { state, defs, bus } = game;
+
+const completions = {};
+bus.on(GameEvents.ActionCompleted, (e) => {
+  completions[e.actionId] = (completions[e.actionId] ?? 0) + 1;
+});
+// nobody is there to choose: encounters go the way they would offline
+bus.on(GameEvents.EncounterStarted, () => game.actionController.resolveEncounter());
+
+state.character.name = "Headless";
+if (!game.actionController.startAction(opts.action)) {
+  console.error(`Could not start action "${opts.action}".`);
+  process.exit(1);
+}
+game.advance(opts.hours * 60 * 60 * 1000);
+
+console.log(`After ${opts.hours}h of "${opts.action}" (seed ${opts.seed}):`);
+console.log("\nCompletions:");
+for (const [id, n] of Object.entries(completions)) console.log(`  ${defs.actions[id]?.name ?? id}: ${n}`);
+console.log("\nResources:");
+for (const r of Object.values(state.resources).filter(r => r.unlocked)) {
+  console.log(`  ${defs.resources[r.id].name}: ${Math.floor(r.amount)}/${game.actionModel.resources.getMaximum(r.id)}`);
+}
+console.log("\nSkills:");
+for (const sk of Object.values(state.skills).filter(sk => sk.unlocked)) {
+  console.log(`  ${defs.skills[sk.id].name}: level ${sk.level} (${sk.experience}/${sk.nextLevelExperience} XP)`);
+}
@@ -0,0 +1,108 @@
+// tools/validateContent.js
+//
+// Check data/*.json with the same schemas and cross-reference checks the game
+// runs at startup, and list every problem by file. Warnings (such as fields no
+// schema knows) are listed too; only errors make it exit 1.
+//
+//   node tools/validateContent.js [--dir data] [--packs all|none|default|<id>,<id>]
+//
+// Content packs (data/packs.json) are checked layered over the core files; by
+// default all installed packs at once.
+//
+import { fileURLToPath } from "node:url";
+import { join } from "node:path";
+import { CONTENT_FILES, readContent, validateContent } from "../js/boot/loadContent.js";
+import { readManifest } from "../js/boot/contentPacks.js";
+import { fileContentSource } from "../js/boot/contentSources.js";
+
+function parseArgs(argv) {
+  const opts = { dir: fileURLToPath(new URL("../data/", import.meta.url)), packs: "all" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+    opts[key] = argv[i + 1];
+  }
+  return opts;
+}
+
+// cross-reference messages name content as "<type>:<id>", some in the singular
+const FILE_FOR_TYPE = {
+  ...Object.fromEntries(CONTENT_FILES.map(f => [f, f])),
+  resource: "resources", skill: "skills", action: "actions", class: "classes",
+  home: "homes", location: "locations", achievement: "achievements", event: "events",
+};
+
+// the file an entry came from: data/<type>.json, or the pack's copy
+const fileOf = (type, entry) => (entry?.pack && entry.pack !== "core" ? `packs/${entry.pack}/${type}` : type);
+
+// "actions[3].cost[0].amt must be ..." -> { file, path, message }, with the entry's id added to the path
+function locate(error, raw) {
+  const space = error.indexOf(" ");
+  const path = space < 0 ? error : error.slice(0, space);
+  const message = space < 0 ? "" : error.slice(space + 1);
+
+  const indexed = path.match(/^(\w+)\[(\d+)\](.*)$/);
+  if (indexed && FILE_FOR_TYPE[indexed[1]]) {
+    const [, type, i, rest] = indexed;
+    const entry = raw[type]?.[Number(i)];
+    return { file: fileOf(type, entry), path: `${type}[${i}]${entry?.id ? ` (${entry.id})` : ""}${rest}`, message };
+  }
+  const named = path.match(/^(\w+):(.*)$/);
+  if (named && FILE_FOR_TYPE[named[1]]) {
+    const type = FILE_FOR_TYPE[named[1]];
+    return { file: fileOf(type, raw[type]?.find(x => x?.id === named[2])), path, message };
+  }
+  if (named?.[1] === "pack") return { file: `packs/${named[2]}/*`, path, message };
+  if (/^packs\b/.test(path)) return { file: "packs", path, message };
+  return { file: null, path, message };
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const source = fileContentSource(opts.dir);
+
+// read every core file first; a file that won't parse would only bury its real errors in cross-reference noise
+const unreadable = [];
+let manifest = null;
+for (const name of [...CONTENT_FILES, "packs"]) {
+  try {
+    const json = await source.load(name);
+    if (name === "packs") manifest = readManifest(json, []);
+  } catch (err) {
+    unreadable.push(`${join(opts.dir, `${name}.json`)}\n  ${err.message}`);
+  }
+}
+if (unreadable.length) {
+  console.error(`Could not read ${unreadable.length} content file(s); fix these first:\n`);
+  console.error(unreadable.join("\n\n"));
+  process.exit(1);
+}
+
+const PACK_CHOICES = { all: manifest.map(p => p.id), none: [], default: null };
+const packs = opts.packs in PACK_CHOICES ? PACK_CHOICES[opts.packs] : opts.packs.split(",").filter(Boolean);
+const content = await readContent(source, { packs });
+const { raw } = content;
+const result = validateContent(raw);
+const errors = [...content.errors, ...result.errors];
+const warnings = [...content.warnings, ...result.warnings];
+
+const byFile = new Map();
+const report = (list, level) => {
+  for (const e of list.map(e => locate(e, raw))) {
+    const file = e.file ? join(opts.dir, e.file.endsWith("*") ? e.file : `${e.file}.json`) : "(unknown file)";
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(`  ${level} ${e.path}: ${e.message}`);
+  }
+};
+report(errors, "error  ");
+report(warnings, "warning");
+for (const [file, lines] of byFile) {
+  console.error(`${file}\n${lines.join("\n")}\n`);
+}
+
+if (!errors.length) {
+  const packList = content.enabled.length ? ` with pack(s) ${content.enabled.join(", ")}` : "";
+  console.log(`Content OK: ${CONTENT_FILES.length} files in ${opts.dir}${packList}${warnings.length ? `, ${warnings.length} warning(s)` : ""}`);
+  process.exit(0);
+}
+console.error(`${errors.length} content error(s), ${warnings.length} warning(s).`);
+process.exit(1);